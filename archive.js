@@ -0,0 +1,179 @@
+var fs = require('fs');
+var readline = require('readline');
+var _ = require('lodash');
+
+var errors = require('./errors');
+
+/**
+ * Reading and writing namespace archives, as made by dump_namespace(). An
+ * archive is a file of newline delimited JSON (NDJSON), one record per
+ * line, each of them with a type:
+ *
+ * {"type": "namespace", "name": "ns", "info": {...}}
+ * {"type": "aux_schema", "name": "contact", "schema": {...}}
+ * {"type": "schema", "name": "sample", "schema": {...}}
+ * {"type": "node", "node": {...}}
+ *
+ * The namespace record comes first, followed by the auxiliary schemas, the
+ * schemas and the nodes.
+ */
+
+/**
+ * Creates a writer of archive records.
+ * @param {string|Object} out - The path of the file to write to, or a
+ * writable stream. A file is closed once the writer is ended, a stream is
+ * left open.
+ * @returns {Object} The writer, with write(record) and end() functions,
+ * both returning a promise. Writing waits for the stream to drain, if
+ * needed.
+ */
+function create_writer(out) {
+    var owned = _.isString(out);
+    var output = owned ? fs.createWriteStream(out) : out;
+    var failure = null;
+
+    output.on('error', function(err) {
+        failure = err;
+    });
+
+    var wait = function(event) {
+        return new Promise(function(resolve, reject) {
+            var done = function(err) {
+                output.removeListener(event, done);
+                output.removeListener('error', done);
+
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            };
+
+            output.on(event, done);
+            output.on('error', done);
+        });
+    };
+
+    return {
+        write: function(record) {
+            if (failure) {
+                return Promise.reject(failure);
+            }
+
+            if (output.write(JSON.stringify(record) + '\n')) {
+                return Promise.resolve();
+            }
+
+            return wait('drain');
+        },
+        end: function() {
+            if (failure) {
+                return Promise.reject(failure);
+            }
+
+            if (! owned) {
+                return Promise.resolve();
+            }
+
+            var finished = wait('finish');
+
+            output.end();
+
+            return finished;
+        }
+    };
+}
+
+/**
+ * Reads an archive.
+ * @param {string|Object} source - The path of the archive, or a readable
+ * stream of it.
+ * @param {Function} callback - Invoked with (err, contents), where contents
+ * has the name of the namespace as namespace, the namespace information as
+ * info, the schemas and aux_schemas, each of them by name, and the node
+ * documents as nodes.
+ */
+function read_archive(source, callback) {
+    var input = _.isString(source) ? fs.createReadStream(source) : source;
+    var lines = readline.createInterface({input: input, crlfDelay: Infinity});
+    var finished = false;
+    var count = 0;
+
+    var contents = {
+        namespace: null,
+        info: null,
+        schemas: {},
+        aux_schemas: {},
+        nodes: []
+    };
+
+    var finish = function(err) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+
+        if (err) {
+            lines.close();
+            input.destroy();
+            callback(err);
+        } else {
+            callback(null, contents);
+        }
+    };
+
+    input.on('error', finish);
+
+    lines.on('line', function(line) {
+        count++;
+
+        if (finished || _.trim(line) === '') {
+            return;
+        }
+
+        var record;
+
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            finish(new errors.ParseError('Unable to parse line ' + count +
+                ' of the archive: ' + err.message, {cause: err}));
+            return;
+        }
+
+        if (! _.isPlainObject(record)) {
+            finish(new errors.ParseError('Line ' + count + ' of the archive ' +
+                'is not a record: ' + line));
+            return;
+        }
+
+        switch (record['type']) {
+            case 'namespace':
+                contents['namespace'] = record['name'];
+                contents['info'] = record['info'];
+                break;
+            case 'schema':
+                contents['schemas'][record['name']] = record['schema'];
+                break;
+            case 'aux_schema':
+                contents['aux_schemas'][record['name']] = record['schema'];
+                break;
+            case 'node':
+                contents['nodes'].push(record['node']);
+                break;
+            default:
+                finish(new errors.ParseError('Unknown record type on line ' +
+                    count + ' of the archive: ' + record['type']));
+        }
+    });
+
+    lines.on('close', function() {
+        finish(null);
+    });
+}
+
+module.exports = {
+    create_writer: create_writer,
+    read_archive: read_archive
+};
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Generates TypeScript declarations for the nodes of an OSDF namespace. See
+ * generate_types() in osdf.js for what is generated.
+ *
+ * Usage:
+ *
+ * osdf-types.js [--host host] [--port port] [--auth user:pass] [--ssl]
+ *               [--dir schema_dir] [--out file.d.ts] namespace
+ *
+ * The schemas are retrieved from the server, or read from disk with --dir.
+ * The declarations are written to standard output, unless --out is given.
+ */
+
+var fs = require('fs');
+var osdf = require('../osdf');
+
+var usage = 'Usage: osdf-types.js [--host host] [--port port] ' +
+    '[--auth user:pass] [--ssl] [--dir schema_dir] [--out file.d.ts] ' +
+    'namespace';
+
+function parse_args(args) {
+    var parsed = {settings: {}, opts: {}, out: null, namespace: null};
+
+    for (var index = 0; index < args.length; index++) {
+        var arg = args[index];
+
+        switch (arg) {
+            case '--host':
+            case '--auth':
+                parsed['settings'][arg.substring(2)] = args[++index];
+                break;
+            case '--port':
+                parsed['settings']['port'] = Number(args[++index]);
+                break;
+            case '--ssl':
+                parsed['settings']['ssl'] = true;
+                break;
+            case '--dir':
+                parsed['opts']['dir'] = args[++index];
+                break;
+            case '--out':
+                parsed['out'] = args[++index];
+                break;
+            default:
+                if (arg.charAt(0) === '-' || parsed['namespace'] !== null) {
+                    return null;
+                }
+
+                parsed['namespace'] = arg;
+        }
+    }
+
+    return parsed['namespace'] === null ? null : parsed;
+}
+
+var parsed = parse_args(process.argv.slice(2));
+
+if (parsed === null) {
+    console.error(usage);
+    process.exit(2);
+}
+
+var client = new osdf.OSDFClient(parsed['settings']);
+
+client.generate_types(parsed['namespace'], parsed['opts'])
+    .then(function(text) {
+        if (parsed['out']) {
+            fs.writeFileSync(parsed['out'], text);
+        } else {
+            process.stdout.write(text);
+        }
+    }, function(err) {
+        console.error('Unable to generate types: ' + err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,314 @@
+var _ = require('lodash');
+
+/**
+ * Field-level comparison of JSON documents, such as two versions of a node.
+ * Differences are reported at the most specific location where they occur,
+ * addressed with a JSON Pointer (RFC 6901), for example:
+ *
+ * [
+ *     {path: '/meta/name', kind: 'changed', before: 'old', after: 'new'},
+ *     {path: '/acl/read/1', kind: 'added', after: 'group'}
+ * ]
+ */
+
+/**
+ * Compares two documents.
+ * @param {*} before - The original document.
+ * @param {*} after - The changed document.
+ * @returns {Object[]} The differences, each of them with path, kind
+ * ("added", "removed" or "changed"), and the before and/or after values.
+ */
+function diff(before, after) {
+    var changes = [];
+
+    var compare = function(a, b, pointer) {
+        if (_.isEqual(a, b)) {
+            return;
+        }
+
+        if (a === undefined) {
+            changes.push({path: pointer, kind: 'added', after: b});
+            return;
+        }
+
+        if (b === undefined) {
+            changes.push({path: pointer, kind: 'removed', before: a});
+            return;
+        }
+
+        var both_objects = _.isPlainObject(a) && _.isPlainObject(b);
+        var both_arrays = _.isArray(a) && _.isArray(b);
+
+        if (! both_objects && ! both_arrays) {
+            changes.push({path: pointer, kind: 'changed', before: a,
+                after: b});
+            return;
+        }
+
+        _.forEach(_.union(_.keys(a), _.keys(b)), function(key) {
+            compare(a[key], b[key], pointer + '/' + escape_token(key));
+        });
+    };
+
+    compare(before, after, '');
+
+    return changes;
+}
+
+/**
+ * Compares only some of the top level fields of two documents.
+ * @param {Object} before - The original document.
+ * @param {Object} after - The changed document.
+ * @param {string[]} fields - The names of the fields to compare.
+ * @returns {Object[]} The differences, as described for diff().
+ */
+function diff_fields(before, after, fields) {
+    return diff(_.pick(before, fields), _.pick(after, fields));
+}
+
+/**
+ * Compares two snapshots of a namespace: its schemas, auxiliary schemas and
+ * nodes. Schemas are matched on their names, and nodes on their IDs or, if
+ * given, a natural key: a field within the meta of nodes, such as "name",
+ * which, together with the node_type, identifies a node on either side.
+ * Nodes lacking the field are matched on their IDs. When matching on a
+ * natural key, the targets of linkage are compared by their natural keys
+ * too, as node IDs differ between servers.
+ * @param {Object} before - The original snapshot, with schemas and
+ * aux_schemas, by name, and the node documents as nodes.
+ * @param {Object} after - The changed snapshot.
+ * @param {Object} [opts] - Comparison options, such as key, the natural key,
+ * as a path within meta ("name" or "external.id", for instance).
+ * @returns {Object} The differences, with schemas, aux_schemas and nodes,
+ * each of them with the added, removed and changed items. Schemas are
+ * listed by name, and changed ones with the changes, as described for
+ * diff(). Nodes are listed with their key (the natural key, or the ID), and
+ * node_type, along with id, for those added or removed, or from_id, to_id
+ * and the changes, for those changed.
+ * @throws {Error} If the natural key of nodes is not unique.
+ */
+function diff_namespaces(before, after, opts) {
+    opts = opts || {};
+
+    var compare_schemas = function(kind) {
+        var a = before[kind] || {};
+        var b = after[kind] || {};
+
+        return {
+            added: _.difference(_.keys(b), _.keys(a)).sort(),
+            removed: _.difference(_.keys(a), _.keys(b)).sort(),
+            changed: _.map(_.filter(_.intersection(_.keys(a), _.keys(b))
+                .sort(), function(name) {
+                return ! _.isEqual(a[name], b[name]);
+            }), function(name) {
+                return {name: name, changes: diff(a[name], b[name])};
+            })
+        };
+    };
+
+    var a_nodes = index_nodes(before['nodes'], opts['key']);
+    var b_nodes = index_nodes(after['nodes'], opts['key']);
+
+    // The natural key of each node, by ID, for comparing linkage.
+    var key_map = function(indexed) {
+        if (! opts['key']) {
+            return null;
+        }
+
+        return _.fromPairs(_.map(indexed, function(item) {
+            return [item['node']['id'], item['key']];
+        }));
+    };
+
+    var a_keys = key_map(a_nodes);
+    var b_keys = key_map(b_nodes);
+
+    var entry = function(indexed, identity) {
+        return {
+            key: indexed[identity]['key'],
+            node_type: indexed[identity]['node']['node_type'],
+            id: indexed[identity]['node']['id']
+        };
+    };
+
+    var identities = _.intersection(_.keys(a_nodes), _.keys(b_nodes));
+
+    var changed = _.flatMap(identities, function(identity) {
+        var a = a_nodes[identity];
+        var b = b_nodes[identity];
+
+        var changes = diff_fields(comparable(a['node'], a_keys),
+            comparable(b['node'], b_keys),
+            ['node_type', 'meta', 'linkage', 'acl']);
+
+        if (changes.length === 0) {
+            return [];
+        }
+
+        return [{
+            key: a['key'],
+            node_type: a['node']['node_type'],
+            from_id: a['node']['id'],
+            to_id: b['node']['id'],
+            changes: changes
+        }];
+    });
+
+    return {
+        schemas: compare_schemas('schemas'),
+        aux_schemas: compare_schemas('aux_schemas'),
+        nodes: {
+            added: _.map(_.difference(_.keys(b_nodes), _.keys(a_nodes)),
+                _.partial(entry, b_nodes)),
+            removed: _.map(_.difference(_.keys(a_nodes), _.keys(b_nodes)),
+                _.partial(entry, a_nodes)),
+            changed: changed
+        }
+    };
+}
+
+/**
+ * Renders the differences between two snapshots of a namespace, as
+ * returned by diff_namespaces(), as readable text.
+ * @param {Object} result - The differences.
+ * @param {string} [title] - A line to put above the differences.
+ * @returns {string} The text.
+ */
+function render_namespaces(result, title) {
+    var lines = title ? [ title ] : [];
+
+    var indent = function(text) {
+        _.forEach(_.trimEnd(text).split('\n'), function(line) {
+            lines.push('  ' + line);
+        });
+    };
+
+    _.forEach(['schemas', 'aux_schemas'], function(kind) {
+        var kind_name = kind === 'schemas' ? 'schema' : 'aux_schema';
+
+        _.forEach(result[kind]['added'], function(name) {
+            lines.push('  + ' + kind_name + ' ' + name);
+        });
+        _.forEach(result[kind]['removed'], function(name) {
+            lines.push('  - ' + kind_name + ' ' + name);
+        });
+        _.forEach(result[kind]['changed'], function(item) {
+            lines.push('  ~ ' + kind_name + ' ' + item['name']);
+            indent(render(item['changes']));
+        });
+    });
+
+    var label = function(item) {
+        return 'node ' + item['node_type'] + ' ' + show(item['key']);
+    };
+
+    _.forEach(result['nodes']['added'], function(item) {
+        lines.push('  + ' + label(item) + ' (' + item['id'] + ')');
+    });
+    _.forEach(result['nodes']['removed'], function(item) {
+        lines.push('  - ' + label(item) + ' (' + item['id'] + ')');
+    });
+    _.forEach(result['nodes']['changed'], function(item) {
+        lines.push('  ~ ' + label(item) + ' (' + item['from_id'] + ' -> ' +
+            item['to_id'] + ')');
+        indent(render(item['changes']));
+    });
+
+    if (lines.length === (title ? 1 : 0)) {
+        lines.push('  (no differences)');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders differences as readable text, one line per difference: "+" for
+ * additions, "-" for removals and "~" for changes.
+ * @param {Object[]} changes - The differences, as returned by diff().
+ * @param {string} [title] - A line to put above the differences.
+ * @returns {string} The text.
+ */
+function render(changes, title) {
+    var lines = title ? [ title ] : [];
+
+    _.forEach(changes, function(change) {
+        var path = change['path'] || '/';
+
+        if (change['kind'] === 'added') {
+            lines.push('  + ' + path + ': ' + show(change['after']));
+        } else if (change['kind'] === 'removed') {
+            lines.push('  - ' + path + ': ' + show(change['before']));
+        } else {
+            lines.push('  ~ ' + path + ': ' + show(change['before']) +
+                ' -> ' + show(change['after']));
+        }
+    });
+
+    if (changes.length === 0) {
+        lines.push('  (no differences)');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function show(value) {
+    return JSON.stringify(value);
+}
+
+/**
+ * Indexes nodes by their identity for diff_namespaces(): their natural key,
+ * along with their node_type, or their ID.
+ * @param {Object[]} nodes - The node documents.
+ * @param {string} [key] - The natural key, as a path within meta.
+ * @returns {Object} The nodes, by identity, each of them with the node and
+ * its key.
+ */
+function index_nodes(nodes, key) {
+    var indexed = {};
+
+    _.forEach(_.sortBy(nodes, 'id'), function(node) {
+        var value = key ? _.get(node['meta'], key) : undefined;
+        var identity = value === undefined ? 'id:' + node['id'] :
+            'key:' + JSON.stringify([node['node_type'], value]);
+
+        if (_.has(indexed, identity)) {
+            throw new Error('The ' + key + ' of ' + node['node_type'] +
+                ' nodes ' + indexed[identity]['node']['id'] + ' and ' +
+                node['id'] + ' is the same: ' + show(value) + '.');
+        }
+
+        indexed[identity] = {
+            node: node,
+            key: value === undefined ? node['id'] : value
+        };
+    });
+
+    return indexed;
+}
+
+// Rewrites the linkage targets of a node to their natural keys, if any.
+function comparable(node, keys) {
+    if (keys === null || ! _.isPlainObject(node['linkage'])) {
+        return node;
+    }
+
+    return _.assign({}, node, {
+        linkage: _.mapValues(node['linkage'], function(targets) {
+            return _.map(targets, function(target) {
+                return _.has(keys, target) ? keys[target] : target;
+            });
+        })
+    });
+}
+
+function escape_token(token) {
+    return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports = {
+    diff: diff,
+    diff_fields: diff_fields,
+    diff_namespaces: diff_namespaces,
+    render: render,
+    render_namespaces: render_namespaces
+};
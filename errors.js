@@ -0,0 +1,213 @@
+var util = require('util');
+
+/**
+ * The error types used by the OSDF client. Every failed call rejects (or
+ * invokes its callback) with an instance of OSDFError, or one of its
+ * subclasses, so that callers can distinguish between the various reasons a
+ * call may fail without resorting to matching on message text.
+ *
+ * For example:
+ *
+ * try {
+ *     await osdf.get_node(node_id);
+ * } catch (err) {
+ *     if (err instanceof osdf.NotFoundError) {
+ *         // The node does not exist.
+ *     }
+ * }
+ */
+
+/**
+ * The base class for all errors raised by the OSDF client.
+ * @constructor
+ * @param {string} message - A description of the error.
+ * @param {Object} [details] - Information about the failed request.
+ * @param {number} [details.status_code] - The HTTP status code.
+ * @param {string} [details.method] - The HTTP method of the request.
+ * @param {string} [details.path] - The path of the request.
+ * @param {string} [details.osdf_error] - The value of the x-osdf-error header
+ * sent by the server, if any.
+ * @param {string} [details.body] - The body of the response, if any.
+ * @param {Error} [details.cause] - The underlying error, if any.
+ */
+function OSDFError(message, details) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    details = details || {};
+
+    this.message = message;
+    this.status_code = detail(details, 'status_code');
+    this.method = detail(details, 'method');
+    this.path = detail(details, 'path');
+    this.osdf_error = detail(details, 'osdf_error');
+    this.body = detail(details, 'body');
+    this.cause = detail(details, 'cause');
+}
+util.inherits(OSDFError, Error);
+OSDFError.prototype.name = 'OSDFError';
+
+/**
+ * Raised when the requested node, schema or namespace does not exist (404).
+ * @constructor
+ */
+function NotFoundError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(NotFoundError, OSDFError);
+NotFoundError.prototype.name = 'NotFoundError';
+
+/**
+ * Raised when a write conflicts with the state of the server, such as when
+ * a node is edited with an outdated version number (409).
+ * @constructor
+ */
+function ConflictError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(ConflictError, OSDFError);
+ConflictError.prototype.name = 'ConflictError';
+
+/**
+ * Raised when the server did not accept the credentials (401).
+ * @constructor
+ */
+function UnauthorizedError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(UnauthorizedError, OSDFError);
+UnauthorizedError.prototype.name = 'UnauthorizedError';
+
+/**
+ * Raised when the credentials do not permit the operation (403).
+ * @constructor
+ */
+function ForbiddenError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(ForbiddenError, OSDFError);
+ForbiddenError.prototype.name = 'ForbiddenError';
+
+/**
+ * Raised when a document was rejected for not complying with the node
+ * structure or its schema (422).
+ * @constructor
+ */
+function ValidationFailedError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(ValidationFailedError, OSDFError);
+ValidationFailedError.prototype.name = 'ValidationFailedError';
+
+/**
+ * Raised when the server could not be reached or the connection failed
+ * before a response was received. The original error is available as cause.
+ * @constructor
+ */
+function NetworkError(message, details) {
+    OSDFError.call(this, message, details);
+
+    this.code = this.cause ? this.cause.code : undefined;
+}
+util.inherits(NetworkError, OSDFError);
+NetworkError.prototype.name = 'NetworkError';
+
+/**
+ * Raised when the body of a successful response could not be parsed.
+ * @constructor
+ */
+function ParseError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(ParseError, OSDFError);
+ParseError.prototype.name = 'ParseError';
+
+/**
+ * Raised when a request did not complete within its timeout.
+ * @constructor
+ */
+function TimeoutError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(TimeoutError, OSDFError);
+TimeoutError.prototype.name = 'TimeoutError';
+
+/**
+ * Raised when a request was cancelled through its AbortSignal.
+ * @constructor
+ */
+function AbortError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(AbortError, OSDFError);
+AbortError.prototype.name = 'AbortError';
+
+/**
+ * Raised when a JSON Patch cannot be applied to a document.
+ * @constructor
+ */
+function PatchError(message, details) {
+    OSDFError.call(this, message, details);
+}
+util.inherits(PatchError, OSDFError);
+PatchError.prototype.name = 'PatchError';
+
+var by_status_code = {
+    401: UnauthorizedError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    422: ValidationFailedError
+};
+
+/**
+ * Builds the appropriate error for an unsuccessful HTTP response. The message
+ * is taken from the x-osdf-error header if the server sent one, otherwise
+ * from the HTTP status message.
+ * @param {Object} response - The HTTP response object.
+ * @param {string} body - The body of the response.
+ * @param {Object} options - The options object the request was made with.
+ * @returns {OSDFError} The error describing the failed request.
+ */
+function from_response(response, body, options) {
+    var status_code = response['statusCode'];
+    var osdf_error = response['headers']['x-osdf-error'];
+    var message;
+
+    if (osdf_error) {
+        message = osdf_error;
+    } else if (response['statusMessage']) {
+        message = response['statusMessage'];
+    } else {
+        message = String(status_code);
+    }
+
+    var ErrorClass = by_status_code[status_code] || OSDFError;
+
+    return new ErrorClass(message, {
+        status_code: status_code,
+        method: options['method'],
+        path: options['path'],
+        osdf_error: osdf_error,
+        body: body
+    });
+}
+
+function detail(details, key) {
+    return details[key] === undefined ? null : details[key];
+}
+
+module.exports = {
+    OSDFError: OSDFError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    UnauthorizedError: UnauthorizedError,
+    ForbiddenError: ForbiddenError,
+    ValidationFailedError: ValidationFailedError,
+    NetworkError: NetworkError,
+    ParseError: ParseError,
+    TimeoutError: TimeoutError,
+    AbortError: AbortError,
+    PatchError: PatchError,
+    from_response: from_response
+};
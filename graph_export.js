@@ -0,0 +1,180 @@
+var _ = require('lodash');
+
+/**
+ * Serializers for graphs of OSDF nodes, such as those returned by
+ * traverse(), into formats understood by other tools: GraphML (Cytoscape,
+ * yEd, Gephi), DOT (Graphviz) and JSON-LD (semantic web tooling).
+ *
+ * A graph is an object with the node documents as nodes, and the links
+ * between them as edges, each of them an object with source, target and
+ * relation.
+ *
+ * Supported options are:
+ *   {
+ *     "label_fields": "meta fields to label nodes with, the first one that
+ *                      a node has is used (['name'] by default), falling
+ *                      back to the node ID",
+ *     "name":         "the name of the graph ('osdf' by default)",
+ *     "base":         "JSON-LD only, the IRI prefix for node IDs
+ *                      ('urn:osdf:node:' by default)",
+ *     "vocab":        "JSON-LD only, the IRI prefix for node types and
+ *                      relations ('urn:osdf:vocab#' by default)"
+ *   }
+ */
+
+/**
+ * Serializes a graph to GraphML. Nodes carry their label and node_type, and
+ * edges their linkage relation, as data attributes.
+ * @param {Object} graph - The graph to serialize.
+ * @param {Object} [opts] - The serialization options.
+ * @returns {string} The GraphML document.
+ */
+function to_graphml(graph, opts) {
+    opts = opts || {};
+
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="label" for="node" attr.name="label" ' +
+            'attr.type="string"/>',
+        '  <key id="node_type" for="node" attr.name="node_type" ' +
+            'attr.type="string"/>',
+        '  <key id="relation" for="edge" attr.name="relation" ' +
+            'attr.type="string"/>',
+        '  <graph id="' + xml_escape(opts['name'] || 'osdf') +
+            '" edgedefault="directed">'
+    ];
+
+    _.forEach(graph['nodes'], function(node) {
+        lines.push('    <node id="' + xml_escape(node['id']) + '">');
+        lines.push('      <data key="label">' +
+            xml_escape(node_label(node, opts)) + '</data>');
+        lines.push('      <data key="node_type">' +
+            xml_escape(node['node_type']) + '</data>');
+        lines.push('    </node>');
+    });
+
+    _.forEach(graph['edges'], function(edge, index) {
+        lines.push('    <edge id="e' + index + '" source="' +
+            xml_escape(edge['source']) + '" target="' +
+            xml_escape(edge['target']) + '">');
+        lines.push('      <data key="relation">' +
+            xml_escape(edge['relation']) + '</data>');
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes a graph to the DOT language of Graphviz, as a directed graph
+ * with labeled nodes and edges.
+ * @param {Object} graph - The graph to serialize.
+ * @param {Object} [opts] - The serialization options.
+ * @returns {string} The DOT document.
+ */
+function to_dot(graph, opts) {
+    opts = opts || {};
+
+    var lines = [ 'digraph ' + dot_quote(opts['name'] || 'osdf') + ' {' ];
+
+    _.forEach(graph['nodes'], function(node) {
+        lines.push('    ' + dot_quote(node['id']) + ' [label=' +
+            dot_quote(node_label(node, opts)) + '];');
+    });
+
+    _.forEach(graph['edges'], function(edge) {
+        lines.push('    ' + dot_quote(edge['source']) + ' -> ' +
+            dot_quote(edge['target']) + ' [label=' +
+            dot_quote(edge['relation']) + '];');
+    });
+
+    lines.push('}');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes a graph to JSON-LD. Each node becomes a resource typed by its
+ * node_type, with its label as rdfs:label, and each edge becomes a property,
+ * named after the linkage relation, of the resource it starts from.
+ * @param {Object} graph - The graph to serialize.
+ * @param {Object} [opts] - The serialization options.
+ * @returns {Object} The JSON-LD document.
+ */
+function to_jsonld(graph, opts) {
+    opts = opts || {};
+
+    var base = opts['base'] || 'urn:osdf:node:';
+    var vocab = opts['vocab'] || 'urn:osdf:vocab#';
+
+    var resources = {};
+
+    _.forEach(graph['nodes'], function(node) {
+        resources[node['id']] = {
+            '@id': base + node['id'],
+            '@type': node['node_type'],
+            'label': node_label(node, opts)
+        };
+    });
+
+    _.forEach(graph['edges'], function(edge) {
+        var resource = resources[edge['source']];
+
+        if (! resource) {
+            return;
+        }
+
+        resource[edge['relation']] = resource[edge['relation']] || [];
+        resource[edge['relation']].push({'@id': base + edge['target']});
+    });
+
+    return {
+        '@context': {
+            '@vocab': vocab,
+            'label': 'http://www.w3.org/2000/01/rdf-schema#label'
+        },
+        '@graph': _.values(resources)
+    };
+}
+
+/**
+ * Determines the label of a node from the configured meta fields.
+ * @param {Object} node - The node document.
+ * @param {Object} opts - The serialization options.
+ * @returns {string} The label.
+ */
+function node_label(node, opts) {
+    var fields = opts['label_fields'] || [ 'name' ];
+
+    var field = _.find(fields, function(name) {
+        return _.has(node, ['meta', name]) && node['meta'][name] !== null;
+    });
+
+    return field ? String(node['meta'][field]) : String(node['id']);
+}
+
+function xml_escape(value) {
+    return String(value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function dot_quote(value) {
+    return '"' + String(value === undefined ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n') + '"';
+}
+
+module.exports = {
+    to_graphml: to_graphml,
+    to_dot: to_dot,
+    to_jsonld: to_jsonld
+};
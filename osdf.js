@@ -1,5 +1,14 @@
 var async = require('async');
 var _ = require('lodash');
+var stream = require('stream');
+
+var archive = require('./archive');
+var diff = require('./diff');
+var errors = require('./errors');
+var graph_export = require('./graph_export');
+var patch = require('./patch');
+var typegen = require('./typegen');
+var validator = require('./validator');
 
 /**
  * This is the OSDF JavaScript client to expose the OSDF REST API as an easy
@@ -25,26 +34,150 @@ var _ = require('lodash');
  * var info = await osdf.info();
  */
 
-/** The name of the module. */
-var osdf = exports;
+/**
+ * The retry policy clients start out with. Failed requests that are safe to
+ * repeat are attempted up to max_attempts times in total, waiting between
+ * base_delay and max_delay milliseconds (doubling each time) in between.
+ */
+var DEFAULT_RETRY_POLICY = {
+    max_attempts: 3,
+    base_delay: 100,
+    max_delay: 2000,
+    jitter: true,
+    status_codes: [502, 503, 504],
+    on_retry: null
+};
+
+/**
+ * The number of pages query_all() and oql_query_all() fetch at a time,
+ * unless told otherwise.
+ */
+var DEFAULT_QUERY_CONCURRENCY = 4;
+
+/**
+ * How many times update_node() tries again after a version conflict, unless
+ * told otherwise.
+ */
+var DEFAULT_CONFLICT_RETRIES = 3;
+
+/**
+ * The number of nodes traverse() expands at a time, unless told otherwise.
+ */
+var DEFAULT_TRAVERSAL_CONCURRENCY = 4;
+
+/**
+ * The number of nodes insert_nodes() inserts at a time, unless told
+ * otherwise.
+ */
+var DEFAULT_INSERT_CONCURRENCY = 4;
+
+/**
+ * The number of nodes update_by_query() and delete_by_query() process at a
+ * time, unless told otherwise.
+ */
+var DEFAULT_BULK_CONCURRENCY = 4;
+
+/**
+ * A client for a single OSDF server. Each client carries its own connection
+ * settings and its own transport (the http or https module), so that several
+ * OSDF servers, such as a staging and a production server, can be used from
+ * the same process without interfering with one another.
+ *
+ * For example:
+ *
+ * var staging = new osdf.OSDFClient({host: 'osdf-staging', auth: 'u:p'});
+ * var node = await staging.get_node(node_id);
+ *
+ * @constructor
+ * @param {Object} [settings] - The server details to use. See setup() for
+ * the supported settings.
+ */
+function OSDFClient(settings) {
+    this.host = '127.0.0.1';
+    this.port = 8123;
+    this.auth = null;
+    this.ssl = false;
+    this.timeout = null;
+    this.retry = _.clone(DEFAULT_RETRY_POLICY);
+    this.transport = require('http');
+
+    if (settings) {
+        this.setup(settings);
+    }
+}
+
+/**
+ * The module itself is a default client instance, so the osdf.* functions
+ * continue to work as they always have. Additional, independent clients can
+ * be created with new osdf.OSDFClient(settings).
+ */
+var osdf = module.exports = new OSDFClient();
+
+osdf.OSDFClient = OSDFClient;
 
-var http =  null;
+osdf.OSDFError = errors.OSDFError;
+osdf.NotFoundError = errors.NotFoundError;
+osdf.ConflictError = errors.ConflictError;
+osdf.UnauthorizedError = errors.UnauthorizedError;
+osdf.ForbiddenError = errors.ForbiddenError;
+osdf.ValidationFailedError = errors.ValidationFailedError;
+osdf.NetworkError = errors.NetworkError;
+osdf.ParseError = errors.ParseError;
+osdf.TimeoutError = errors.TimeoutError;
+osdf.AbortError = errors.AbortError;
+osdf.PatchError = errors.PatchError;
 
-osdf.host = '127.0.0.1';
-osdf.port = 8123;
-osdf.auth = null;
-osdf.ssl = false;
+osdf.NodeValidator = validator.NodeValidator;
+osdf.format_validation_errors = validator.format_errors;
+
+osdf.diff_namespace = diff_namespace;
+
+/**
+ * Adds a linkage edge from one node to another. The target node must exist.
+ * Adding a link that is already present leaves the node unchanged. Version
+ * conflicts are handled as described for update_node().
+ * @param {string} node_id - The ID of the node to link from.
+ * @param {string} relation - The name of the linkage relation.
+ * @param {string} target_id - The ID of the node to link to.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the link
+ * has been added. Invoked with (err, node), where node is the updated node.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.add_link = function(node_id, relation, target_id, opts,
+    callback) {
+    return link_helper(this, node_id, relation, [target_id],
+        function(targets) {
+            return _.union(targets, [target_id]);
+        }, opts, callback);
+};
 
 /**
  * Deletes an auxiliary schema from the OSDF server.
  * @param {string} namespace - The namespace to remove the auxiliary
  * schema from.
  * @param {string} aux_schema_name - The name of the auxiliary schema to delete.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as safe, which, if true, refuses to delete an auxiliary schema that
+ * other schemas depend on, as described for get_schema_dependencies(). The
+ * call then fails with a ConflictError listing them as its dependents
+ * property, with schemas and aux_schemas.
  * @param {Function} [callback] - A callback which is called when the deletion
  * is completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.delete_aux_schema = function(namespace, aux_schema_name, callback) {
+OSDFClient.prototype.delete_aux_schema = function(namespace, aux_schema_name,
+    opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.omit(opts, 'safe');
+
     var options = {
         auth: this.auth,
         host: this.host,
@@ -53,17 +186,91 @@ osdf.delete_aux_schema = function(namespace, aux_schema_name, callback) {
         method: 'DELETE'
     };
 
-    return deletion_helper(options, callback);
+    if (! opts['safe']) {
+        return deletion_helper(this, options, request_opts, callback);
+    }
+
+    var result = this.get_schema_dependencies(namespace, request_opts)
+        .then(function(dependencies) {
+            var dependents = dependencies['dependents'][aux_schema_name] ||
+                {schemas: [], aux_schemas: []};
+
+            var referrers = dependents['schemas']
+                .concat(dependents['aux_schemas']);
+
+            if (referrers.length > 0) {
+                throw in_use_error(options, 'Auxiliary schema ' +
+                    aux_schema_name + ' is referred to by: ' +
+                    referrers.join(', ') + '.', dependents);
+            }
+
+            return deletion_helper(client, options, request_opts);
+        });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Deletes every node matching a query. All the matching nodes are found
+ * before any of them is deleted, so that the deletions do not disturb the
+ * paging of the search results. A failed deletion does not stop the others.
+ *
+ * For example:
+ *
+ * var summary = await osdf.delete_by_query('"tmp"[node_type]', 'ns', {
+ *     dry_run: true
+ * });
+ *
+ * @param {string|Object} query - The OQL query (a string) or ElasticSearch
+ * DSL query (an object) selecting the nodes.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency, the number of nodes to delete at a time (4 by
+ * default), dry_run, which, if true, only reports what would be deleted,
+ * and on_progress, a function invoked with ({id, status, done, total})
+ * after each node.
+ * @param {Function} [callback] - A callback which is called when the
+ * deletions are completed. Invoked with (err, summary), where summary has
+ * the dry_run flag, the total number of matching nodes, and the IDs of the
+ * nodes that were deleted as succeeded, that failed with a version conflict
+ * as conflicts, and those that failed otherwise, along with the error, as
+ * failed. A dry run instead lists the IDs of the matching nodes as planned.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.delete_by_query = function(query, namespace, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+
+    var result = by_query_helper(this, query, namespace, opts, {
+        plan: function(node) {
+            return node['id'];
+        },
+        apply: function(node) {
+            return client.delete_node(node['id'], request_opts)
+                .then(_.constant('succeeded'));
+        }
+    });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Deletes a node document from the OSDF server.
  * @param {string} node_id - The ID of the node to delete.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the deletion
  * is completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.delete_node = function(node_id, callback) {
+OSDFClient.prototype.delete_node = function(node_id, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -72,18 +279,109 @@ osdf.delete_node = function(node_id, callback) {
         method: 'DELETE'
     };
 
-    return deletion_helper(options, callback);
+    return deletion_helper(this, options, opts, callback);
+};
+
+/**
+ * Deletes a node along with every node that depends on it, that is, the
+ * nodes that link to it, directly or through other dependents. Dependents
+ * are found by walking inbound links, and are deleted before the nodes they
+ * link to, so that no node is ever left pointing at a deleted one.
+ *
+ * Should a deletion fail, no further nodes are deleted, and the promise is
+ * rejected with the error, which carries the report described below as its
+ * report property. Nothing is deleted if not all the dependents can be
+ * found, such as when the server returns fewer inbound links than it
+ * reports (see traverse()).
+ *
+ * @param {string} node_id - The ID of the node to delete.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as relations, the linkage relations that make a node a dependent
+ * (all by default), and dry_run, which, if true, only reports what would be
+ * deleted.
+ * @param {Function} [callback] - A callback which is called when the
+ * deletion is completed. Invoked with (err, report), where report has the
+ * IDs of all the nodes in deletion order as order, those that were deleted
+ * as deleted, and those that were not (yet) deleted as remaining, along with
+ * the dry_run flag.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.delete_node_tree = function(node_id, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+
+    var traversal_opts = _.assign({
+        direction: 'in',
+        relations: opts['relations']
+    }, request_opts);
+
+    var result = this.traverse(node_id, traversal_opts).then(function(graph) {
+        var order = dependents_first(graph);
+
+        var report = {
+            dry_run: Boolean(opts['dry_run']),
+            order: order,
+            deleted: [],
+            remaining: order.slice()
+        };
+
+        if (report['dry_run']) {
+            return report;
+        }
+
+        return new Promise(function(resolve, reject) {
+            async.eachSeries(order, function(id, cb) {
+                client.delete_node(id, request_opts).then(function() {
+                    report['deleted'].push(id);
+                    report['remaining'].shift();
+                    cb();
+                }, cb);
+            }, function(err) {
+                if (err) {
+                    err.report = report;
+                    reject(err);
+                } else {
+                    resolve(report);
+                }
+            });
+        });
+    });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Deletes a schema from the OSDF server.
  * @param {string} namespace - The namespace to remove the schema from.
  * @param {string} schema_name - The name of the schema to delete.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as safe, which, if true, refuses to delete a schema while nodes of
+ * its node_type exist. The call then fails with a ConflictError whose
+ * dependents property has the number of such nodes as total, and the IDs
+ * of those on the first page of query results as nodes.
  * @param {Function} [callback] - A callback which is called when the deletion
  * is completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.delete_schema = function(namespace, schema_name, callback) {
+OSDFClient.prototype.delete_schema = function(namespace, schema_name, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.omit(opts, 'safe');
+
     var options = {
         auth: this.auth,
         host: this.host,
@@ -92,7 +390,164 @@ osdf.delete_schema = function(namespace, schema_name, callback) {
         method: 'DELETE'
     };
 
-    return deletion_helper(options, callback);
+    if (! opts['safe']) {
+        return deletion_helper(this, options, request_opts, callback);
+    }
+
+    var query = '"' + schema_name + '"[node_type]';
+
+    // A single page of results is enough to tell whether the schema is in
+    // use, and how widely.
+    var result = this.oql_query_page(query, namespace, 1, request_opts)
+        .then(function(found) {
+            var total = found['search_result_total'];
+
+            if (total > 0) {
+                var message = 'Schema ' + schema_name + ' is in use by ' +
+                    total + ' nodes.';
+
+                throw in_use_error(options, message, {
+                    total: total,
+                    nodes: _.map(found['results'], 'id')
+                });
+            }
+
+            return deletion_helper(client, options, request_opts);
+        });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Compares two versions of a node, field by field, within its meta, linkage
+ * and acl. Intended for auditing how a node changed over time.
+ *
+ * For example:
+ *
+ * var result = await osdf.diff_node_versions(node_id, 1, 3);
+ * console.log(result.text);
+ *
+ * @param {string} node_id - The ID of the node.
+ * @param {number} version_a - The version to compare from.
+ * @param {number} version_b - The version to compare to.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the
+ * comparison is completed. Invoked with (err, result), where result has the
+ * node_id, the from and to versions, the differences as changes, each of
+ * them with path, kind ("added", "removed" or "changed"), and the before
+ * and/or after values, and a readable rendering of them as text.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.diff_node_versions = function(node_id, version_a,
+    version_b, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    var result = Promise.all([
+        this.get_node_by_version(node_id, version_a, opts),
+        this.get_node_by_version(node_id, version_b, opts)
+    ]).then(function(versions) {
+        var changes = diff.diff_fields(versions[0], versions[1],
+            ['meta', 'linkage', 'acl']);
+
+        return {
+            node_id: node_id,
+            from: version_a,
+            to: version_b,
+            changes: changes,
+            text: diff.render(changes, 'Node ' + node_id + ': version ' +
+                version_a + ' -> version ' + version_b)
+        };
+    });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Writes a namespace, with its schemas, auxiliary schemas and all of its
+ * nodes, to an archive of newline delimited JSON (NDJSON), such as for a
+ * backup or to copy the namespace with restore_namespace(). The nodes are
+ * retrieved one page at a time and written out as they arrive, so that
+ * large namespaces are never held in memory in full. See archive.js for the
+ * layout of the archive.
+ *
+ * For example:
+ *
+ * var counts = await osdf.dump_namespace('ns', 'ns.ndjson');
+ * console.log(counts.nodes + ' nodes written.');
+ *
+ * @param {string} namespace - The namespace to dump.
+ * @param {string|Object} out - The path of the file to write, or a writable
+ * stream, which is left open once the dump is written.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal,
+ * applied to each request.
+ * @param {Function} [callback] - A callback which is called when the dump
+ * has been written. Invoked with (err, counts), where counts has the number
+ * of aux_schemas, schemas and nodes written.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.dump_namespace = function(namespace, out, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var writer = archive.create_writer(out);
+    var counts = {aux_schemas: 0, schemas: 0, nodes: 0};
+
+    var write_all = function(type, schemas) {
+        counts[type + 's'] = _.size(schemas);
+
+        return _.reduce(_.keys(schemas).sort(), function(written, name) {
+            return written.then(function() {
+                return writer.write({
+                    type: type,
+                    name: name,
+                    schema: schemas[name]
+                });
+            });
+        }, Promise.resolve());
+    };
+
+    var result = Promise.all([
+        this.get_namespace(namespace, opts),
+        this.get_aux_schemas(namespace, opts),
+        this.get_schemas(namespace, opts)
+    ]).then(function(found) {
+        return writer.write({type: 'namespace', name: namespace,
+            info: found[0]})
+            .then(function() {
+                return write_all('aux_schema', found[1]);
+            })
+            .then(function() {
+                return write_all('schema', found[2]);
+            });
+    }).then(function() {
+        var nodes = make_page_iterator(client, {query: {match_all: {}}},
+            namespace, opts);
+
+        return write_nodes(nodes, writer);
+    }).then(function(written) {
+        counts['nodes'] = written;
+
+        return writer.end();
+    }, function(err) {
+        var fail = function() {
+            throw err;
+        };
+
+        return writer.end().then(fail, fail);
+    }).then(function() {
+        return counts;
+    });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
@@ -100,11 +555,13 @@ osdf.delete_schema = function(namespace, schema_name, callback) {
  * @param {string} namespace - The namespace the auxiliary schema exists in.
  * @param {string} aux_schema_name - The name of the auxiliary schema to edit.
  * @param {Object} aux_schema - The new JSON-Schema object.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the edit is
  * completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.edit_aux_schema = function(namespace, aux_schema_name, aux_schema, callback) {
+OSDFClient.prototype.edit_aux_schema = function(namespace, aux_schema_name,
+    aux_schema, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -113,78 +570,19 @@ osdf.edit_aux_schema = function(namespace, aux_schema_name, aux_schema, callback
         method: 'PUT'
     };
 
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            response.on('data', function(chunk) {
-                // ignored
-            });
-            response.on('end', function() {
-                if (response['statusCode'] === 200) {
-                    callback(null);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error']);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage']);
-                    } else {
-                        callback(response['statusCode']);
-                    }
-                }
-            });
-        };
-
-        var request = http.request(options, cb);
-
-        request.on('error', function(err) {
-            callback(err, null);
-        });
-
-        request.write(JSON.stringify(aux_schema));
-
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                response.on('data', function(chunk) {
-                    // ignored
-                });
-                response.on('end', function() {
-                    if (response['statusCode'] === 200) {
-                        resolve();
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage'))  {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
-
-            var request = http.request(options, cb);
-
-            request.on('error', function(err) {
-                reject(err);
-            });
-
-            request.write(JSON.stringify(aux_schema));
-
-            request.end();
-        });
-    }
+    return edit_helper(this, options, aux_schema, opts, callback);
 };
 
 /**
  * Updates (edits) an existing OSDF node document.
  * @param {string} node_id - The ID of the node to update/edit.
  * @param {Object} node_data - The new object to replace the existing data with.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the edit is
  * completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.edit_node = function(node_id, node_data, callback) {
+OSDFClient.prototype.edit_node = function(node_id, node_data, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -193,67 +591,7 @@ osdf.edit_node = function(node_id, node_data, callback) {
         method: 'PUT'
     };
 
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            response.on('data', function(chunk) {
-                // ignored
-            });
-            response.on('end', function() {
-                if (response['statusCode'] === 200) {
-                    callback(null);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error']);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage']);
-                    } else {
-                        callback(response['statusCode']);
-                    }
-                }
-            });
-        };
-
-        var request = http.request(options, cb);
-
-        request.on('error', function(err) {
-            callback(err, null);
-        });
-
-        request.write(JSON.stringify(node_data));
-
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                response.on('data', function(chunk) {
-                    // ignored
-                });
-                response.on('end', function() {
-                    if (response['statusCode'] === 200) {
-                        resolve();
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage'))  {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
-
-            var request = http.request(options, cb);
-
-            request.on('error', function(err) {
-                reject(err);
-            });
-
-            request.write(JSON.stringify(node_data));
-
-            request.end();
-        });
-    }
+    return edit_helper(this, options, node_data, opts, callback);
 };
 
 /**
@@ -264,11 +602,13 @@ osdf.edit_node = function(node_id, node_data, callback) {
  * @param {string} name - The name of the schema to update/edit.
  * @param {Object} schema - The new schema object to replace the existing schema
  * with.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the edit is
  * completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.edit_schema = function(namespace, name, schema, callback ) {
+OSDFClient.prototype.edit_schema = function(namespace, name, schema, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -282,98 +622,160 @@ osdf.edit_schema = function(namespace, name, schema, callback ) {
         schema: schema
     };
 
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            response.on('data', function(chunk) {
-                // ignored
-            });
-            response.on('end', function() {
-                if (response['statusCode'] === 200) {
-                    callback(null);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error']);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage']);
-                    } else {
-                        callback(response['statusCode']);
-                    }
-                }
-            });
-        };
-
-        var request = http.request(options, cb);
+    return edit_helper(this, options, schema_doc, opts, callback);
+};
 
-        request.on('error', function(err) {
-            callback(err, null);
-        });
+/**
+ * Exports a subgraph of nodes to GraphML, DOT or JSON-LD, for use with tools
+ * such as Cytoscape, Graphviz or semantic web pipelines. The subgraph is
+ * either the result of traverse(), or a list of node IDs, in which case the
+ * nodes are fetched and the edges are the linkage between them.
+ *
+ * Supported options, besides per-call options such as timeout and signal,
+ * are:
+ *   {
+ *     "label_fields": "meta fields to label nodes with (['name'] by
+ *                      default), falling back to the node ID",
+ *     "name":         "the name of the graph ('osdf' by default)",
+ *     "base":         "JSON-LD only, the IRI prefix for node IDs",
+ *     "vocab":        "JSON-LD only, the IRI prefix for types and relations",
+ *     "concurrency":  "number of nodes to fetch at a time (4 by default)"
+ *   }
+ *
+ * @param {Object|string[]} subgraph - A traversal result, or node IDs.
+ * @param {string} format - One of "graphml", "dot" or "jsonld".
+ * @param {Object} [opts] - The export options.
+ * @param {Function} [callback] - A callback which is called when the export
+ * is completed. Invoked with (err, document), where document is a string
+ * for GraphML and DOT, and an object for JSON-LD.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.export_graph = function(subgraph, format, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
 
-        request.write(JSON.stringify(schema_doc));
+    opts = opts || {};
 
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                response.on('data', function(chunk) {
-                    // ignored
-                });
-                response.on('end', function() {
-                    if (response['statusCode'] === 200) {
-                        resolve();
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage'))  {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
+    var serializers = {
+        graphml: graph_export.to_graphml,
+        dot: graph_export.to_dot,
+        jsonld: graph_export.to_jsonld
+    };
 
-            var request = http.request(options, cb);
+    var serialize = serializers[format];
+    var result;
 
-            request.on('error', function(err) {
-                reject(err);
-            });
+    if (! serialize) {
+        result = Promise.reject(new TypeError('Unsupported graph format "' +
+            format + '".'));
+    } else if (_.isArray(subgraph)) {
+        result = subgraph_helper(this, subgraph, opts);
+    } else {
+        result = Promise.resolve(subgraph);
+    }
 
-            request.write(JSON.stringify(schema_doc));
+    result = result.then(function(graph) {
+        return serialize(graph, opts);
+    });
 
-            request.end();
-        });
-    }
+    return callback_or_promise(result, callback);
 };
 
 /**
- * Retrieves an existing OSDF auxiliary schema.
- * @param {string} namespace - The namespace that the auxiliary schema is in.
- * @param {string} aux_schema_name - The name of the schema to retrieve.
- * @param {Function} [callback] - A callback which is called when the retrieval
- * is completed. Invoked with (err, data).
+ * Generates TypeScript declarations (the contents of a .d.ts file) for the
+ * nodes of a namespace: an interface for the meta of each node_type, one
+ * for the node itself, a type for each auxiliary schema, and an OSDFNode
+ * union of all node interfaces, discriminated by node_type. The schemas
+ * and auxiliary schemas are retrieved from the server, or read from disk
+ * if a dir option is given, as described for get_validator().
+ *
+ * For example:
+ *
+ * fs.writeFileSync('osdf-nodes.d.ts', await osdf.generate_types('ns'));
+ *
+ * The bin/osdf-types.js script does the same from the command line.
+ *
+ * @param {string} namespace - The namespace whose schemas to use.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as dir, the directory to read the schemas from instead.
+ * @param {Function} [callback] - A callback which is called when the
+ * declarations have been generated. Invoked with (err, text).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_aux_schema = function(namespace, aux_schema_name, callback ) {
-    var options = {
-        auth: this.auth,
-        host: this.host,
-        port: this.port,
+OSDFClient.prototype.generate_types = function(namespace, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var found;
+
+    if (opts['dir']) {
+        found = new Promise(function(resolve, reject) {
+            validator.read_schemas(opts['dir'], function(err, schemas) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(schemas);
+                }
+            });
+        });
+    } else {
+        var request_opts = _.omit(opts, 'dir');
+
+        found = Promise.all([
+            this.get_schemas(namespace, request_opts),
+            this.get_aux_schemas(namespace, request_opts)
+        ]).then(function(schemas) {
+            return {schemas: schemas[0], aux_schemas: schemas[1]};
+        });
+    }
+
+    var result = found.then(function(schemas) {
+        return typegen.to_typescript(schemas['schemas'],
+            schemas['aux_schemas'], {namespace: namespace});
+    });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Retrieves an existing OSDF auxiliary schema.
+ * @param {string} namespace - The namespace that the auxiliary schema is in.
+ * @param {string} aux_schema_name - The name of the schema to retrieve.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the retrieval
+ * is completed. Invoked with (err, data).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.get_aux_schema = function(namespace, aux_schema_name, opts,
+    callback) {
+    var options = {
+        auth: this.auth,
+        host: this.host,
+        port: this.port,
         path: '/namespaces/' + namespace + '/schemas/aux/' + aux_schema_name,
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
  * Retrieves all the auxiliary schemas belonging to a given namespace.
  * @param {string} namespace - The namespace to retrieve the auxiliary schemas
  * from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_aux_schemas = function(namespace, callback ) {
+OSDFClient.prototype.get_aux_schemas = function(namespace, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -382,18 +784,95 @@ osdf.get_aux_schemas = function(namespace, callback ) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
+};
+
+/**
+ * Retrieves a schema as a single, self-contained, JSON Schema document, for
+ * tools that cannot follow references to auxiliary schemas. The auxiliary
+ * schemas the schema refers to, directly or through one another, are
+ * retrieved and placed in its definitions, under their own names, and the
+ * references are rewritten to point there, for example from
+ * {"$ref": "#contact"} to {"$ref": "#/definitions/contact"}.
+ *
+ * Auxiliary schemas that refer to one another in a circle cannot be
+ * expanded by many tools, so they fail the call with an OSDFError, unless
+ * the allow_cycles option is given.
+ *
+ * @param {string} namespace - The namespace of the schema.
+ * @param {string} schema_name - The name of the schema.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as allow_cycles, which, if true, bundles circular references as
+ * well.
+ * @param {Function} [callback] - A callback which is called when the schema
+ * has been bundled. Invoked with (err, schema).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.get_bundled_schema = function(namespace, schema_name,
+    opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.omit(opts, 'allow_cycles');
+
+    // The auxiliary schemas retrieved so far, by name, each one only once.
+    var cache = {};
+
+    var fetch_aux = function(names) {
+        var wanted = _.filter(names, function(name) {
+            return ! _.has(cache, name);
+        });
+
+        _.forEach(wanted, function(name) {
+            cache[name] = client.get_aux_schema(namespace, name,
+                request_opts);
+        });
+
+        return Promise.all(_.map(wanted, function(name) {
+            return cache[name];
+        })).then(function(schemas) {
+            if (schemas.length === 0) {
+                return null;
+            }
+
+            return fetch_aux(_.flatMap(schemas, validator.aux_refs));
+        });
+    };
+
+    var result = this.get_schema(namespace, schema_name, request_opts)
+        .then(function(schema) {
+            if (_.isEmpty(validator.aux_refs(schema))) {
+                return schema;
+            }
+
+            return fetch_aux(validator.aux_refs(schema)).then(function() {
+                var names = _.keys(cache);
+
+                return Promise.all(_.values(cache)).then(function(schemas) {
+                    return bundle_schema(schema, _.zipObject(names, schemas),
+                        opts['allow_cycles']);
+                });
+            });
+        });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Retrieves information about a namespace.
  * @param {string} namespace - The name of the namespace to retrieve metadata
  * about.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_namespace = function(namespace, callback) {
+OSDFClient.prototype.get_namespace = function(namespace, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -402,16 +881,17 @@ osdf.get_namespace = function(namespace, callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
  * Retrieves information about all the namespaces registerd in the server.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_namespaces = function(callback) {
+OSDFClient.prototype.get_namespaces = function(opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -420,17 +900,18 @@ osdf.get_namespaces = function(callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
  * Retrieves a node document by ID.
  * @param {string} node_id - The ID of the node document to fetch.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_node = function(node_id, callback) {
+OSDFClient.prototype.get_node = function(node_id, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -439,18 +920,20 @@ osdf.get_node = function(node_id, callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
  * Retrieves a specific version of node document.
  * @param {string} node_id - The ID of the node document to fetch.
  * @param {number} version - The version number of the document to fetch.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_node_by_version = function(node_id, version, callback) {
+OSDFClient.prototype.get_node_by_version = function(node_id, version, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -459,18 +942,63 @@ osdf.get_node_by_version = function(node_id, version, callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
+};
+
+/**
+ * Retrieves every version of a node document, from the first to the current
+ * one. The versions are fetched concurrently.
+ * @param {string} node_id - The ID of the node document.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency: the number of versions to fetch at a time (4 by
+ * default).
+ * @param {Function} [callback] - A callback which is called when the
+ * retrieval is completed. Invoked with (err, versions), where versions is an
+ * array of the node documents, oldest first.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.get_node_history = function(node_id, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var concurrency = opts['concurrency'] || DEFAULT_QUERY_CONCURRENCY;
+    var request_opts = _.omit(opts, 'concurrency');
+
+    var result = this.get_node(node_id, request_opts).then(function(node) {
+        var versions = _.range(1, node['ver']);
+
+        return new Promise(function(resolve, reject) {
+            async.mapLimit(versions, concurrency, function(version, cb) {
+                client.get_node_by_version(node_id, version, request_opts,
+                    cb);
+            }, function(err, history) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(history.concat([node]));
+                }
+            });
+        });
+    });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Retrieves the list of node documents that the specified node has inbound
  * links from (the nodes that connect TO this node).
  * @param {string} node_id - The ID of the node document to fetch.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_node_in_links = function(node_id, callback) {
+OSDFClient.prototype.get_node_in_links = function(node_id, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -479,18 +1007,19 @@ osdf.get_node_in_links = function(node_id, callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
  * Retrieves the list of node documents that the specified node has outbound
  * links to (the nodes that this node connect TO).
  * @param {string} node_id - The ID of the node document to fetch.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_node_out_links = function(node_id, callback) {
+OSDFClient.prototype.get_node_out_links = function(node_id, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -499,18 +1028,20 @@ osdf.get_node_out_links = function(node_id, callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
  * Retrieves a specific schema document belonging to a namespace.
  * @param {string} namespace - The name of the namespace the schema is in.
  * @param {string} schema_name - The name of the schema to retrieve.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_schema = function(namespace, schema_name, callback ) {
+OSDFClient.prototype.get_schema = function(namespace, schema_name, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -519,17 +1050,61 @@ osdf.get_schema = function(namespace, schema_name, callback ) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
+};
+
+/**
+ * Retrieves the graph of references between the schemas and auxiliary
+ * schemas of a namespace, as made with $ref. For example:
+ *
+ * {
+ *     "schemas": { "sample": [ "named" ] },
+ *     "aux_schemas": { "named": [ "contact" ], "contact": [] },
+ *     "dependents": {
+ *         "named": { "schemas": [ "sample" ], "aux_schemas": [] },
+ *         "contact": { "schemas": [ "sample" ], "aux_schemas": [ "named" ] }
+ *     },
+ *     "missing": []
+ * }
+ *
+ * @param {string} namespace - The namespace whose schemas to examine.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the graph
+ * has been built. Invoked with (err, dependencies), where dependencies has,
+ * for each schema and auxiliary schema, the auxiliary schemas it refers to
+ * directly, as schemas and aux_schemas, for each auxiliary schema, the
+ * schemas and auxiliary schemas that depend on it, directly or through
+ * other auxiliary schemas, as dependents, and the references to auxiliary
+ * schemas that do not exist as missing, each of them with the kind and name
+ * of the referring schema and the name it refers to as ref.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.get_schema_dependencies = function(namespace, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    var result = Promise.all([
+        this.get_schemas(namespace, opts),
+        this.get_aux_schemas(namespace, opts)
+    ]).then(function(found) {
+        return schema_dependencies(found[0], found[1]);
+    });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Retrieves all of the schema documents belonging to a given namespace.
  * @param {string} namespace - The namespace to fetch the schemas from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.get_schemas = function(namespace, callback) {
+OSDFClient.prototype.get_schemas = function(namespace, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -538,17 +1113,77 @@ osdf.get_schemas = function(namespace, callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
+};
+
+/**
+ * Creates a validator that checks node documents locally, without a round
+ * trip to the server, against the base node structure and the schemas of a
+ * namespace. The schemas and auxiliary schemas are retrieved from the
+ * server, or read from disk if a dir option is given, in which case the
+ * directory holds one .json file per schema, with the auxiliary schemas in
+ * an aux subdirectory.
+ *
+ * For example:
+ *
+ * var validator = await osdf.get_validator('ns');
+ * var errors = validator.validate(node);
+ *
+ * if (errors.length > 0) {
+ *     console.log(osdf.format_validation_errors(errors));
+ * }
+ *
+ * @param {string} namespace - The namespace whose schemas to use.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as dir, the directory to read the schemas from instead.
+ * @param {Function} [callback] - A callback which is called when the
+ * schemas have been loaded. Invoked with (err, validator).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.get_validator = function(namespace, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var result;
+
+    if (opts['dir']) {
+        result = new Promise(function(resolve, reject) {
+            validator.from_dir(namespace, opts['dir'], function(err, v) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(v);
+                }
+            });
+        });
+    } else {
+        var request_opts = _.omit(opts, 'dir');
+
+        result = Promise.all([
+            this.get_schemas(namespace, request_opts),
+            this.get_aux_schemas(namespace, request_opts)
+        ]).then(function(found) {
+            return new validator.NodeValidator(namespace, found[0],
+                found[1]);
+        });
+    }
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Retrieves metadata information about the OSDF server, including
  * administrative and technical contact information.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the retrieval
  * is completed. Invoked with (err, data).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.info = function(callback) {
+OSDFClient.prototype.info = function(opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -557,7 +1192,7 @@ osdf.info = function(callback) {
         method: 'GET'
     };
 
-    return get_helper(options, callback);
+    return get_helper(this, options, opts, callback);
 };
 
 /**
@@ -567,11 +1202,13 @@ osdf.info = function(callback) {
  * @param {string} name - The name to give to the auxiliary schema.
  * @param {Object} aux_schema - The schema document to use for the auxiliary
  * schema.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the insertion
  * is completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.insert_aux_schema = function(namespace, name, aux_schema, callback) {
+OSDFClient.prototype.insert_aux_schema = function(namespace, name, aux_schema,
+    opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -585,18 +1222,19 @@ osdf.insert_aux_schema = function(namespace, name, aux_schema, callback) {
         schema: aux_schema
     };
 
-    return insertion_helper(options, aux_schema_doc, callback);
+    return insertion_helper(this, options, aux_schema_doc, opts, callback);
 };
 
 /**
  * Creates (inserts) a new node document.
  * @param {Object} node_data - The node document to insert/create.
  * schema.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the insertion
  * is completed. Invoked with (err, node_id).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.insert_node = function(node_data, callback) {
+OSDFClient.prototype.insert_node = function(node_data, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -605,74 +1243,62 @@ osdf.insert_node = function(node_data, callback) {
         method: 'POST'
     };
 
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            response.on('data', function(chunk) {
-                // ignored
-            });
-
-            response.on('end', function() {
-                if (response['statusCode'] === 201) {
-                    var location = response['headers']['location'];
-                    var node_id = location.split('/').pop();
-                    callback(null, node_id);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error'], null);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage'], null);
-                    } else {
-                        callback(response['statusCode'], null);
-                    }
-                }
-            });
-        };
-
-        var request = http.request(options, cb);
-
-        request.on('error', function(err) {
-            callback(err, null);
-        });
-
-        request.write(JSON.stringify(node_data));
-
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                response.on('data', function(chunk) {
-                    // ignored
-                });
+    return request_helper(this, options, node_data,
+        function(response, body) {
+            if (response['statusCode'] !== 201) {
+                throw errors.from_response(response, body, options);
+            }
 
-                response.on('end', function() {
-                    if (response['statusCode'] === 201) {
-                        var location = response['headers']['location'];
-                        var node_id = location.split('/').pop();
+            var location = response['headers']['location'];
 
-                        resolve(node_id);
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage'))  {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
+            return location.split('/').pop();
+        }, opts, callback);
+};
 
-            var request = http.request(options, cb);
+/**
+ * Creates (inserts) a batch of node documents, such as all the nodes of a
+ * study. Nodes within the batch may link to one another before they exist:
+ * a document can carry a temporary, local, ID as its id, which other
+ * documents in the batch then use as a linkage target. Documents are
+ * inserted in dependency order, linked nodes first, and local IDs are
+ * replaced with the real IDs assigned by the server before a document is
+ * sent. Linkage targets that are not local IDs are left alone.
+ *
+ * For example:
+ *
+ * var report = await osdf.insert_nodes([
+ *     {id: 'subject-1', node_type: 'subject', linkage: {}, ...},
+ *     {id: 'sample-1', node_type: 'sample',
+ *         linkage: {extracted_from: ['subject-1']}, ...}
+ * ]);
+ *
+ * A failed insertion does not stop the batch, but documents linking to it,
+ * directly or indirectly, are not inserted, and neither are documents whose
+ * local links form a cycle.
+ *
+ * @param {Object[]} docs - The node documents to insert.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency, the number of nodes to insert at a time (4 by
+ * default).
+ * @param {Function} [callback] - A callback which is called when the batch
+ * has been processed. Invoked with (err, report), where report has the
+ * number of documents inserted and failed, along with the results, one per
+ * document and in the same order, each of them with the local_id of the
+ * document (if any), the id assigned to it (or null) and the error that
+ * prevented its insertion (or null).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.insert_nodes = function(docs, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
 
-            request.on('error', function(err) {
-                reject(err);
-            });
+    opts = opts || {};
 
-            request.write(JSON.stringify(node_data));
+    var result = insert_nodes_helper(this, docs, opts);
 
-            request.end();
-        });
-    }
+    return callback_or_promise(result, callback);
 };
 
 /**
@@ -680,11 +1306,13 @@ osdf.insert_node = function(node_data, callback) {
  * @param {string} namespace - The namespace to register the new schema with.
  * @param {string} name - The name to give to the new schema.
  * @param {Object} schema - The schema document to insert/create.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the insertion
  * is completed. Invoked with (err).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.insert_schema = function(namespace, name, schema, callback) {
+OSDFClient.prototype.insert_schema = function(namespace, name, schema, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -698,18 +1326,58 @@ osdf.insert_schema = function(namespace, name, schema, callback) {
         schema: schema
     };
 
-    return insertion_helper(options, schema_doc, callback);
+    return insertion_helper(this, options, schema_doc, opts, callback);
+};
+
+/**
+ * Perform a search with an OQL (OSDF Query Language) and iterate over the
+ * matching nodes as each page of results arrives, rather than collecting all
+ * of them in memory first. The next page is only fetched once the nodes of
+ * the previous one have been consumed.
+ *
+ * For example:
+ *
+ * var nodes = osdf.iterate_oql('"sample"[node_type]', 'ns');
+ *
+ * for await (var node of nodes) {
+ *     console.log(node.id);
+ * }
+ *
+ * @param {string} oql_query - The OQL query to perform.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal,
+ * applied to each page request.
+ * @returns {Object} An async iterator yielding node documents.
+ */
+OSDFClient.prototype.iterate_oql = function(oql_query, namespace, opts) {
+    return make_page_iterator(this, oql_query, namespace, opts);
+};
+
+/**
+ * Perform a search with an elasticsearch query (expressed with JSON) and
+ * iterate over the matching nodes as each page of results arrives. See
+ * iterate_oql() for details.
+ * @param {Object} es_query - The ElasticSearch DSL query to perform.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal,
+ * applied to each page request.
+ * @returns {Object} An async iterator yielding node documents.
+ */
+OSDFClient.prototype.iterate_query = function(es_query, namespace, opts) {
+    return make_page_iterator(this, es_query, namespace, opts);
 };
 
 /**
  * Perform a search with an OQL (OSDF Query Language) and retrieve the results.
  * @param {string} oql_query - The OQL query to perform.
  * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the search
  * is completed. Invoked with (err, results).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.oql_query = function(oql_query, namespace, callback) {
+OSDFClient.prototype.oql_query = function(oql_query, namespace, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -718,31 +1386,33 @@ osdf.oql_query = function(oql_query, namespace, callback) {
         method: 'POST'
     };
 
-    return query_helper(options, oql_query, callback);
+    return query_helper(this, options, oql_query, opts, callback);
 };
 
 /**
  * Perform a search with an OQL (OSDF Query Language) and retrieve all the
- * results, fetching each batch of results page by page, if necessary. These
- * types of queries can take more time and also require more memory. If the
- * number of pages in search results is large, it may be better to page through
- * them oneself.
+ * results. The first page of results tells how many pages there are, and the
+ * remaining pages are then fetched concurrently. These types of queries can
+ * take more time and also require more memory. If the number of pages in
+ * search results is large, it may be better to use iterate_oql() instead.
  * @param {string} oql_query - The OQL query to perform.
  * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency: the number of pages to fetch at a time (4 by default).
  * @param {Function} [callback] - A callback which is called when the search
  * is completed. Invoked with (err, results).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.oql_query_all = function(oql_query, namespace, callback) {
-    var helper = null;
-
-    if (_.isFunction(callback)) {
-        helper = make_query_all_callback_helper();
-        helper(oql_query, namespace, osdf, callback);
-    } else {
-        helper = make_query_all_promise_helper(oql_query);
-        return helper(oql_query, namespace, osdf);
+OSDFClient.prototype.oql_query_all = function(oql_query, namespace, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
     }
+
+    var results = query_all_helper(this, oql_query, namespace, opts);
+
+    return callback_or_promise(results, callback);
 };
 
 /**
@@ -752,11 +1422,13 @@ osdf.oql_query_all = function(oql_query, namespace, callback) {
  * @param {string} oql_query - The OQL query to perform.
  * @param {string} namespace - The namespace to query nodes from.
  * @param {number} page - The specific page of results to retrieve.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the search
  * is completed. Invoked with (err, results).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.oql_query_page = function(oql_query, namespace, page, callback) {
+OSDFClient.prototype.oql_query_page = function(oql_query, namespace, page, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -765,18 +1437,199 @@ osdf.oql_query_page = function(oql_query, namespace, page, callback) {
         method: 'POST'
     };
 
-    return query_helper(options, oql_query, callback);
+    return query_helper(this, options, oql_query, opts, callback);
+};
+
+/**
+ * Applies a partial change to a node. The patch is applied on the client to
+ * the current version of the node, the result is checked with
+ * validate_node(), and only then saved. Should the node change in the
+ * meantime, the patch is applied again to the newer version (see
+ * update_node()).
+ *
+ * Two patch formats are supported: "json-patch" (RFC 6902), a list of
+ * operations such as {op: 'replace', path: '/meta/name', value: 'x'}, and
+ * "merge-patch" (RFC 7396), a partial document such as {meta: {name: 'x'}}.
+ * Paths are relative to the whole node document.
+ *
+ * @param {string} node_id - The ID of the node to patch.
+ * @param {Object[]|Object} node_patch - The patch to apply.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as format: "json-patch" (the default) or "merge-patch".
+ * @param {Function} [callback] - A callback which is called when the patch
+ * has been saved. Invoked with (err, result), where result has the saved
+ * node document as node, and the JSON Pointers of the locations that were
+ * changed as changed.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.patch_node = function(node_id, node_patch, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var format = opts['format'] || 'json-patch';
+    var request_opts = _.omit(opts, 'format');
+    var changed = [];
+
+    if (format !== 'json-patch' && format !== 'merge-patch') {
+        return callback_or_promise(Promise.reject(new errors.PatchError(
+            'Unsupported patch format "' + format + '".')), callback);
+    }
+
+    var mutator = function(node) {
+        var patched;
+
+        if (format === 'merge-patch') {
+            patched = patch.apply_merge_patch(node, node_patch);
+        } else {
+            patched = patch.apply_json_patch(node, node_patch);
+        }
+
+        changed = patch.changed_paths(node, patched);
+
+        var candidate = _.omit(patched, ['id', 'hash', 'ver']);
+
+        var validate_opts = _.assign(_.omit(request_opts, 'retry'),
+            {strict: true});
+
+        return client.validate_node(candidate, validate_opts)
+            .then(function() {
+                return patched;
+            });
+    };
+
+    var result = this.update_node(node_id, mutator, request_opts)
+        .then(function(node) {
+            return {
+                node: node,
+                changed: changed
+            };
+        });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Checks a proposed change to a schema against the nodes it would apply to,
+ * before it is made. Every existing node of the schema's node_type is
+ * retrieved and validated, locally, against the new schema (whose
+ * references to auxiliary schemas are resolved with those of the
+ * namespace), and the nodes that would no longer comply are reported.
+ *
+ * For example:
+ *
+ * var report = await osdf.plan_schema_change('ns', 'sample', new_schema);
+ *
+ * report.violations.forEach(function(violation) {
+ *     console.log(violation.id, violation.errors);
+ * });
+ *
+ * With the apply option, the schema is then changed with edit_schema(), but
+ * only if every node complies. Otherwise the promise is rejected with a
+ * ValidationFailedError that carries the report as its report property.
+ *
+ * @param {string} namespace - The namespace of the schema.
+ * @param {string} name - The name of the schema, which is the node_type of
+ * the nodes it applies to.
+ * @param {Object} schema - The proposed schema document.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency, the number of pages of nodes to fetch at a time (4
+ * by default), and apply, which, if true, makes the change if no node would
+ * break.
+ * @param {Function} [callback] - A callback which is called when the check
+ * is completed. Invoked with (err, report), where report has the namespace
+ * and name of the schema, the total number of nodes checked, the nodes that
+ * would not comply as violations, each of them with the node's id and the
+ * errors found, as described for get_validator(), and whether the change
+ * was applied.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.plan_schema_change = function(namespace, name, schema,
+    opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+    var query_opts = _.pick(opts, ['timeout', 'signal', 'retry',
+        'concurrency']);
+    var query = '"' + name + '"[node_type]';
+
+    var result = Promise.all([
+        this.get_aux_schemas(namespace, request_opts),
+        query_all_helper(this, query, namespace, query_opts)
+    ]).then(function(found) {
+        var schemas = {};
+        schemas[name] = schema;
+
+        var node_validator = new validator.NodeValidator(namespace, schemas,
+            found[0]);
+        var nodes = found[1]['results'];
+
+        var report = {
+            namespace: namespace,
+            name: name,
+            total: nodes.length,
+            violations: [],
+            applied: false
+        };
+
+        _.forEach(nodes, function(node) {
+            var node_errors = node_validator.validate(node);
+
+            if (node_errors.length > 0) {
+                report['violations'].push({
+                    id: node['id'],
+                    errors: node_errors
+                });
+            }
+        });
+
+        if (! opts['apply']) {
+            return report;
+        }
+
+        if (report['violations'].length > 0) {
+            var err = new errors.ValidationFailedError(
+                report['violations'].length + ' of ' + report['total'] +
+                ' nodes of type ' + name + ' would not comply with the ' +
+                'new schema.');
+
+            err.report = report;
+
+            throw err;
+        }
+
+        return client.edit_schema(namespace, name, schema, request_opts)
+            .then(function() {
+                report['applied'] = true;
+
+                return report;
+            });
+    });
+
+    return callback_or_promise(result, callback);
 };
 
 /**
  * Perform a search with an elasticsearch query (express with JSON).
  * @param {string} es_query - The ElasticSearch DSL query to perform.
  * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the search
  * is completed. Invoked with (err, results).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.query = function(es_query, namespace, callback) {
+OSDFClient.prototype.query = function(es_query, namespace, opts, callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -785,27 +1638,29 @@ osdf.query = function(es_query, namespace, callback) {
         method: 'POST'
     };
 
-    return query_helper(options, es_query, callback);
+    return query_helper(this, options, es_query, opts, callback);
 };
 
 /**
- * Perform a search with an elasticsearch query (express with JSON).
+ * Perform a search with an elasticsearch query (express with JSON) and
+ * retrieve all the results. See oql_query_all() for details.
  * @param {string} es_query - The ElasticSearch DSL query to perform.
  * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency: the number of pages to fetch at a time (4 by default).
  * @param {Function} [callback] - A callback which is called when the search
  * is completed. Invoked with (err, results).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.query_all = function(es_query, namespace, callback) {
-    var helper = null;
-
-    if (_.isFunction(callback)) {
-        helper  = make_query_all_callback_helper(es_query);
-        helper(es_query, namespace, osdf, callback);
-    } else {
-        helper = make_query_all_promise_helper(es_query);
-        return helper(es_query, namespace, osdf);
+OSDFClient.prototype.query_all = function(es_query, namespace, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
     }
+
+    var results = query_all_helper(this, es_query, namespace, opts);
+
+    return callback_or_promise(results, callback);
 };
 
 /**
@@ -815,11 +1670,13 @@ osdf.query_all = function(es_query, namespace, callback) {
  * @param {string} es_query - The ElasticSearch DSL query to perform.
  * @param {string} namespace - The namespace to query nodes from.
  * @param {number} page - The specific page of results to retrieve.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
  * @param {Function} [callback] - A callback which is called when the search
  * is completed. Invoked with (err, results).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.query_page = function(es_query, namespace, page, callback) {
+OSDFClient.prototype.query_page = function(es_query, namespace, page, opts,
+    callback) {
     var options = {
         auth: this.auth,
         host: this.host,
@@ -828,56 +1685,617 @@ osdf.query_page = function(es_query, namespace, page, callback) {
         method: 'POST'
     };
 
-    return query_helper(options, es_query, callback);
+    return query_helper(this, options, es_query, opts, callback);
 };
 
 /**
- * Configure the client with the details of how to connect to the OSDF server.
+ * Removes a linkage edge from one node to another. Removing the last target
+ * of a relation removes the relation altogether, and removing a link that
+ * is not present leaves the node unchanged.
+ * @param {string} node_id - The ID of the node the link starts from.
+ * @param {string} relation - The name of the linkage relation.
+ * @param {string} target_id - The ID of the node the link points to.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the link
+ * has been removed. Invoked with (err, node), where node is the updated
+ * node.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.remove_link = function(node_id, relation, target_id,
+    opts, callback) {
+    return link_helper(this, node_id, relation, [],
+        function(targets) {
+            return _.without(targets, target_id);
+        }, opts, callback);
+};
+
+/**
+ * Restores a namespace from an archive made by dump_namespace(), possibly
+ * into another namespace, which must already exist. The schemas and
+ * auxiliary schemas are created (or updated, where they differ) first, then
+ * the nodes are inserted, as described for insert_nodes(): nodes are
+ * inserted after the nodes they link to, and links between the nodes of the
+ * archive are rewritten to the IDs the server assigns. Links to nodes that
+ * are not part of the archive are left as they are.
  *
- * Supported settings are:
- *   {
- *     "host": "server hostname or IP address",
- *     "port": "TCP port (8123 by default)",
- *     "auth": "username:password",
- *     "ssl":  False
- *   }
+ * Should a schema fail to be created, no nodes are inserted, and the promise
+ * is rejected with the error, which carries the report described below as
+ * its report property. Nodes that fail to be inserted are listed in the
+ * report instead.
  *
- * @param {Object} setting - The object containing the server details to use.
- * @returns {Object} The client object.
+ * For example:
+ *
+ * var report = await osdf.restore_namespace('ns.ndjson', 'ns_copy');
+ * console.log(report.id_map[old_id]);
+ *
+ * @param {string|Object} source - The path of the archive, or a readable
+ * stream of it.
+ * @param {string} target - The namespace to restore into.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as concurrency, the number of nodes to insert at a time (4 by
+ * default).
+ * @param {Function} [callback] - A callback which is called when the
+ * restore is completed. Invoked with (err, report), where report has the
+ * target namespace, the schemas changes made, as described for
+ * sync_schemas(), the nodes report, as described for insert_nodes(), with
+ * the old IDs as local IDs, and the id_map, from the old ID of each
+ * inserted node to its new one.
+ * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.setup = function(settings) {
-    this.host = settings.host;
-    this.ssl = settings.ssl;
-
-    // Are we using TLS/SSL or not? This controls whether we use the
-    // http or https module.
-    if (this.ssl) {
-        http = require('https');
-    } else {
-        http = require('http');
+OSDFClient.prototype.restore_namespace = function(source, target, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
     }
 
-    if (settings['port']) {
-        this.port = parseInt(settings.port, 10);
-    }
+    opts = opts || {};
 
-    if (settings['auth']) {
-        this.auth = settings.auth;
-    }
+    var client = this;
+    var request_opts = _.omit(opts, 'concurrency');
 
-    return this;
+    var report = {
+        namespace: target,
+        schemas: [],
+        nodes: null,
+        id_map: {}
+    };
+
+    var contents = new Promise(function(resolve, reject) {
+        archive.read_archive(source, function(err, read) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(read);
+            }
+        });
+    });
+
+    var result = Promise.all([
+        contents,
+        this.get_schemas(target, request_opts),
+        this.get_aux_schemas(target, request_opts)
+    ]).then(function(found) {
+        var actions = _.reject(schema_sync_actions(found[0], {
+            schemas: found[1],
+            aux_schemas: found[2]
+        }), {action: 'delete'});
+
+        return new Promise(function(resolve, reject) {
+            async.eachSeries(actions, function(action, cb) {
+                apply_schema_action(client, target, action, request_opts)
+                    .then(function() {
+                        report['schemas'].push(action);
+                        cb();
+                    }, cb);
+            }, function(err) {
+                if (err) {
+                    err.report = report;
+                    reject(err);
+                } else {
+                    resolve(found[0]['nodes']);
+                }
+            });
+        });
+    }).then(function(nodes) {
+        var docs = _.map(nodes, function(node) {
+            return _.assign(_.omit(node, ['ver', 'hash']), {ns: target});
+        });
+
+        return insert_nodes_helper(client, docs, opts);
+    }).then(function(inserted) {
+        report['nodes'] = inserted;
+
+        _.forEach(inserted['results'], function(item) {
+            if (item['id'] !== null) {
+                report['id_map'][item['local_id']] = item['id'];
+            }
+        });
+
+        return report;
+    });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Reverts a node to the content it had in an earlier version. The historical
+ * document is saved as a new version of the node, so the history itself is
+ * preserved. Fields named in the keep option retain their current values,
+ * for instance to avoid restoring an outdated acl.
+ * @param {string} node_id - The ID of the node to revert.
+ * @param {number} target_version - The version to revert to.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as keep: the top level fields, such as "acl", to leave as they are.
+ * @param {Function} [callback] - A callback which is called when the node
+ * has been reverted. Invoked with (err, version), where version is the new
+ * version number of the node.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.revert_node = function(node_id, target_version, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var keep = opts['keep'] || [];
+    var request_opts = _.omit(opts, 'keep');
+
+    var result = this.get_node_by_version(node_id, target_version,
+        request_opts).then(function(old_node) {
+        var content = _.omit(old_node, ['id', 'hash', 'ver']);
+
+        return client.update_node(node_id, function(node) {
+            return _.assign({}, _.pick(node, ['id', 'ver']),
+                _.omit(_.cloneDeep(content), keep), _.pick(node, keep));
+        }, request_opts);
+    }).then(function(node) {
+        return node['ver'];
+    });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Replaces all the targets of a linkage relation. The target nodes must
+ * exist. An empty list of targets removes the relation altogether.
+ * @param {string} node_id - The ID of the node the links start from.
+ * @param {string} relation - The name of the linkage relation.
+ * @param {string[]} target_ids - The IDs of the nodes to link to.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the links
+ * have been set. Invoked with (err, node), where node is the updated node.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.set_links = function(node_id, relation, target_ids,
+    opts, callback) {
+    return link_helper(this, node_id, relation, target_ids,
+        function() {
+            return _.uniq(target_ids);
+        }, opts, callback);
+};
+
+/**
+ * Configure the client with the details of how to connect to the OSDF server.
+ *
+ * Supported settings are:
+ *   {
+ *     "host": "server hostname or IP address",
+ *     "port": "TCP port (8123 by default)",
+ *     "auth": "username:password",
+ *     "ssl":  False,
+ *     "timeout": "default request timeout in milliseconds (none by default)",
+ *     "retry": {
+ *       "max_attempts": "total attempts per request (3 by default)",
+ *       "base_delay": "milliseconds before the first retry (100 by default)",
+ *       "max_delay": "upper bound on the delay (2000 by default)",
+ *       "jitter": "randomize delays (true by default)",
+ *       "status_codes": "statuses to retry ([502, 503, 504] by default)",
+ *       "on_retry": "function invoked with (err, attempt, delay), before
+ *                    each retry; should it throw, the call fails with
+ *                    the error it throws"
+ *     }
+ *   }
+ *
+ * Automatic retries can be disabled altogether by setting "retry" to false.
+ * A call given {retry: true} is still retried, as many times as the default
+ * policy allows.
+ *
+ * Settings that are omitted keep their current values.
+ *
+ * @param {Object} settings - The object containing the server details to use.
+ * @returns {Object} The client object.
+ */
+OSDFClient.prototype.setup = function(settings) {
+    if (settings['host']) {
+        this.host = settings.host;
+    }
+
+    if (_.has(settings, 'ssl')) {
+        this.ssl = Boolean(settings.ssl);
+    }
+
+    // Are we using TLS/SSL or not? This controls whether we use the
+    // http or https module. The transport belongs to this client only, so
+    // reconfiguring one client never affects another.
+    if (this.ssl) {
+        this.transport = require('https');
+    } else {
+        this.transport = require('http');
+    }
+
+    if (settings['port']) {
+        this.port = parseInt(settings.port, 10);
+    }
+
+    if (settings['auth']) {
+        this.auth = settings.auth;
+    }
+
+    if (_.has(settings, 'timeout')) {
+        this.timeout = settings.timeout;
+    }
+
+    if (settings['retry'] === false) {
+        this.retry = _.assign({}, this.retry, {max_attempts: 1});
+    } else if (settings['retry']) {
+        this.retry = _.assign({}, this.retry, settings.retry);
+    }
+
+    return this;
+};
+
+/**
+ * Perform a search with an OQL (OSDF Query Language) and stream the matching
+ * nodes. Like iterate_oql(), pages are fetched as they are needed, so a slow
+ * consumer causes page fetches to pause.
+ * @param {string} oql_query - The OQL query to perform.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal,
+ * applied to each page request.
+ * @returns {stream.Readable} A readable stream, in object mode, of node
+ * documents.
+ */
+OSDFClient.prototype.stream_oql = function(oql_query, namespace, opts) {
+    return make_page_stream(make_page_iterator(this, oql_query, namespace,
+        opts));
+};
+
+/**
+ * Perform a search with an elasticsearch query (expressed with JSON) and
+ * stream the matching nodes. See stream_oql() for details.
+ * @param {Object} es_query - The ElasticSearch DSL query to perform.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal,
+ * applied to each page request.
+ * @returns {stream.Readable} A readable stream, in object mode, of node
+ * documents.
+ */
+OSDFClient.prototype.stream_query = function(es_query, namespace, opts) {
+    return make_page_stream(make_page_iterator(this, es_query, namespace,
+        opts));
+};
+
+/**
+ * Brings the schemas and auxiliary schemas of a namespace in line with those
+ * stored in a directory, such as a checkout of a git repository, laid out
+ * with one .json file per schema and the auxiliary schemas in an aux
+ * subdirectory. Schemas only found in the directory are created, those that
+ * differ are updated, and those only found on the server are deleted.
+ *
+ * Unless the apply option is given, nothing is changed, and the plan is
+ * only reported. When applied, auxiliary schemas are created and updated
+ * first, those referred to by others before them, then the schemas, and
+ * finally the deletions are made, schemas before auxiliary schemas. Should
+ * a change fail, no further changes are made, and the promise is rejected
+ * with the error, which carries the report described below as its report
+ * property.
+ *
+ * For example:
+ *
+ * var report = await osdf.sync_schemas('ns', './schemas');
+ * console.log(report.text);
+ *
+ * @param {string} namespace - The namespace to synchronize.
+ * @param {string} dir - The directory holding the schemas.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as apply, which, if true, makes the planned changes.
+ * @param {Function} [callback] - A callback which is called when the plan
+ * has been made, or applied. Invoked with (err, report), where report has
+ * the dry_run flag, the planned actions, in the order they are applied,
+ * each of them with action ("create", "update" or "delete"), kind
+ * ("schema" or "aux_schema"), name, the schema document to create or
+ * update with and, for updates, the changes, as described for
+ * diff_node_versions(), the actions that were completed, and a readable
+ * rendering of the plan as text.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.sync_schemas = function(namespace, dir, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+
+    var local = new Promise(function(resolve, reject) {
+        validator.read_schemas(dir, function(err, found) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(found);
+            }
+        });
+    });
+
+    var result = Promise.all([
+        local,
+        this.get_schemas(namespace, request_opts),
+        this.get_aux_schemas(namespace, request_opts)
+    ]).then(function(found) {
+        var actions = schema_sync_actions(found[0], {
+            schemas: found[1],
+            aux_schemas: found[2]
+        });
+
+        var report = {
+            dry_run: ! opts['apply'],
+            actions: actions,
+            completed: [],
+            text: render_schema_sync(namespace, actions)
+        };
+
+        if (report['dry_run']) {
+            return report;
+        }
+
+        return new Promise(function(resolve, reject) {
+            async.eachSeries(actions, function(action, cb) {
+                apply_schema_action(client, namespace, action, request_opts)
+                    .then(function() {
+                        report['completed'].push(action);
+                        cb();
+                    }, cb);
+            }, function(err) {
+                if (err) {
+                    err.report = report;
+                    reject(err);
+                } else {
+                    resolve(report);
+                }
+            });
+        });
+    });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Walks the graph that nodes form through their linkage, breadth first,
+ * starting from a given node. Outbound links are the relations listed in a
+ * node's own linkage, while inbound links are those of other nodes pointing
+ * at it. Each node is visited at most once, so cycles are harmless.
+ *
+ * Supported options are:
+ *   {
+ *     "direction":   "out (the default), in, or both",
+ *     "relations":   "linkage relations to follow (all by default)",
+ *     "max_depth":   "number of hops from the start node (unlimited)",
+ *     "node_types":  "node types to visit (all by default)",
+ *     "filter":      "function invoked with (node), false skips the node",
+ *     "concurrency": "number of nodes to expand at a time (4 by default)"
+ *   }
+ *
+ * Nodes that are skipped, because of their node_type or the filter, are not
+ * part of the result and are not walked through.
+ *
+ * The links of each node are retrieved page by page, until all of them have
+ * been received. Should the server return fewer than it reports, the
+ * traversal fails with an OSDFError, rather than leaving nodes out.
+ *
+ * @param {string} start_id - The ID of the node to start from.
+ * @param {Object} [opts] - The traversal options, along with per-call
+ * options, such as timeout and signal, for each request.
+ * @param {Function} [callback] - A callback which is called when the
+ * traversal is completed. Invoked with (err, graph), where graph has the
+ * visited node documents as nodes, and the links between them as edges,
+ * each of them an object with source, target and relation.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.traverse = function(start_id, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    return callback_or_promise(traverse_helper(this, start_id, opts || {}),
+        callback);
+};
+
+/**
+ * Updates every node matching a query with update_node(), so that version
+ * conflicts are retried. All the matching nodes are found before any of
+ * them is changed, and a failed update does not stop the others.
+ *
+ * For example:
+ *
+ * var summary = await osdf.update_by_query('"sample"[node_type]', 'ns',
+ *     function(node) {
+ *         node.meta.status = 'archived';
+ *     }, {concurrency: 8});
+ *
+ * @param {string|Object} query - The OQL query (a string) or ElasticSearch
+ * DSL query (an object) selecting the nodes.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Function} mutator - Invoked with (node), as for update_node().
+ * @param {Object} [opts] - Per-call options, such as timeout, signal and
+ * conflict_retries, as well as concurrency, the number of nodes to update
+ * at a time (4 by default), dry_run, which, if true, applies the mutator
+ * to the matching nodes without saving them, and on_progress, a function
+ * invoked with ({id, status, done, total}) after each node.
+ * @param {Function} [callback] - A callback which is called when the
+ * updates are completed. Invoked with (err, summary), where summary has the
+ * dry_run flag, the total number of matching nodes, and the IDs of the
+ * nodes that were updated as succeeded, that the mutator left alone as
+ * unchanged, that failed with a version conflict as conflicts, and those
+ * that failed otherwise, along with the error, as failed. A dry run instead
+ * lists, as planned, the id of each matching node along with the changes
+ * the mutator makes to it, as described for diff_node_versions().
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.update_by_query = function(query, namespace, mutator,
+    opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry',
+        'conflict_retries']);
+
+    var mutate = function(node) {
+        var copy = _.cloneDeep(node);
+
+        return Promise.resolve(mutator(copy)).then(function(updated) {
+            return updated === undefined ? copy : updated;
+        });
+    };
+
+    var result = by_query_helper(this, query, namespace, opts, {
+        plan: function(node) {
+            return mutate(node).then(function(updated) {
+                return {
+                    id: node['id'],
+                    changes: diff.diff(node, updated)
+                };
+            });
+        },
+        apply: function(node) {
+            var changed = false;
+
+            return client.update_node(node['id'], function(current) {
+                return mutate(current).then(function(updated) {
+                    changed = ! _.isEqual(updated, current);
+
+                    return updated;
+                });
+            }, request_opts).then(function() {
+                return changed ? 'succeeded' : 'unchanged';
+            });
+        }
+    }, { unchanged: [] });
+
+    return callback_or_promise(result, callback);
+};
+
+/**
+ * Updates a node by reading it, applying a change to it, and writing it back.
+ * The mutator is given a copy of the current node document and either
+ * modifies it in place or returns the document to save (or a promise for
+ * it). If another writer saves the node in the meantime, the edit fails with
+ * a version conflict, in which case the node is fetched again and the
+ * mutator is reapplied to the fresh copy. If the mutator leaves the node
+ * unchanged, nothing is saved.
+ *
+ * For example:
+ *
+ * var node = await osdf.update_node(node_id, function(node) {
+ *     node.meta.status = 'done';
+ * });
+ *
+ * @param {string} node_id - The ID of the node to update.
+ * @param {Function} mutator - Invoked with (node), the current document.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as conflict_retries: how many times to try again after a version
+ * conflict (3 by default).
+ * @param {Function} [callback] - A callback which is called when the update
+ * is completed. Invoked with (err, node), where node is the saved document.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+OSDFClient.prototype.update_node = function(node_id, mutator, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var client = this;
+    var retries = _.has(opts, 'conflict_retries') ? opts['conflict_retries'] :
+        DEFAULT_CONFLICT_RETRIES;
+    var request_opts = _.omit(opts, 'conflict_retries');
+
+    var attempt = function(retries_left) {
+        return client.get_node(node_id, request_opts).then(function(node) {
+            var copy = _.cloneDeep(node);
+
+            return Promise.resolve(mutator(copy)).then(function(updated) {
+                if (updated === undefined) {
+                    updated = copy;
+                }
+
+                // Nothing changed, so there is no need for a new version.
+                if (_.isEqual(updated, node)) {
+                    return node;
+                }
+
+                var node_data = _.omit(updated, ['id', 'hash']);
+                node_data['ver'] = node['ver'];
+
+                return client.edit_node(node_id, node_data, request_opts)
+                    .then(function() {
+                        return client.get_node_by_version(node_id,
+                            node['ver'] + 1, request_opts);
+                    }, function(err) {
+                        if (err instanceof errors.ConflictError &&
+                                retries_left > 0) {
+                            return attempt(retries_left - 1);
+                        }
+
+                        throw err;
+                    });
+            });
+        });
+    };
+
+    return callback_or_promise(attempt(retries), callback);
 };
 
 /**
  * Determine if a document is compliant with a node's required structure as well
  * as any schema that may be associated with nodes of its type.
  * @param {Object} node_data - The node document to be checked.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal, as
+ * well as strict, which, if true, makes an invalid document fail the call
+ * with a ValidationFailedError, carrying the errors as its errors property.
  * @param {Function} [callback] - A callback which is called when the validation
- * has completed. Invoked with (err, validation_text), where validation_text
- * contains any errors the validation process discovered.
+ * has completed. Invoked with (err, result), where result has valid, true if
+ * the document is valid, the errors the validation process discovered, each
+ * of them with path, message and keyword (if known), and the raw text of the
+ * errors as reported by the server as text.
  * @returns {Promise} A promise, if a callback is omitted.
  */
-osdf.validate_node = function(node_data, callback) {
+OSDFClient.prototype.validate_node = function(node_data, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var strict = Boolean(opts['strict']);
+
     var options = {
         auth: this.auth,
         host: this.host,
@@ -886,443 +2304,1666 @@ osdf.validate_node = function(node_data, callback) {
         method: 'POST'
     };
 
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            var body = '';
+    return request_helper(this, options, node_data,
+        function(response, body) {
+            // 422 node data was INVALID
+            // 200 node data was valid
+            if (response['statusCode'] !== 422 &&
+                    response['statusCode'] !== 200) {
+                throw errors.from_response(response, body, options);
+            }
+
+            var result = {
+                valid: response['statusCode'] === 200,
+                errors: validator.parse_errors(body),
+                text: body
+            };
+
+            if (strict && ! result['valid']) {
+                var err = errors.from_response(response, body, options);
+
+                if (body) {
+                    err.message = body;
+                }
+
+                err.errors = result['errors'];
+
+                throw err;
+            }
+
+            return result;
+        }, _.omit(opts, 'strict'), callback);
+};
+
+/**
+ * Compares a namespace between two sources, each of them a client, such as
+ * one for a staging and one for a production server, or an archive made by
+ * dump_namespace(). Schemas and auxiliary schemas are matched on their
+ * names, and nodes on their IDs or, with the key option, on a natural key
+ * within their meta, as IDs differ between servers. See diff_namespaces()
+ * in diff.js for how nodes are matched and compared.
+ *
+ * For example:
+ *
+ * var staging = new osdf.OSDFClient({host: 'staging.example.org'});
+ * var result = await osdf.diff_namespace(staging, osdf, 'ns',
+ *     {key: 'name'});
+ * console.log(result.text);
+ *
+ * @param {OSDFClient|string|Object} source_a - The source to compare from:
+ * a client, or the path of an archive, or a readable stream of it.
+ * @param {OSDFClient|string|Object} source_b - The source to compare to.
+ * @param {string} namespace - The namespace to compare, as retrieved with
+ * clients. Archives are compared as they are.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal,
+ * applied to each request, as well as key, the natural key to match nodes
+ * on, as a path within meta ("name", for instance).
+ * @param {Function} [callback] - A callback which is called when the
+ * comparison is completed. Invoked with (err, result), where result has the
+ * namespace, the schemas, aux_schemas and nodes that were added, removed
+ * or changed, as described for diff_namespaces(), and a readable rendering
+ * of them as text.
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function diff_namespace(source_a, source_b, namespace, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    var request_opts = _.omit(opts, 'key');
+
+    var result = Promise.all([
+        load_snapshot(source_a, namespace, request_opts),
+        load_snapshot(source_b, namespace, request_opts)
+    ]).then(function(snapshots) {
+        var differences;
+
+        try {
+            differences = diff.diff_namespaces(snapshots[0], snapshots[1],
+                {key: opts['key']});
+        } catch (err) {
+            throw new errors.OSDFError(err.message, {cause: err});
+        }
+
+        return _.assign({namespace: namespace}, differences, {
+            text: diff.render_namespaces(differences, 'Namespace ' +
+                namespace + ':')
+        });
+    });
+
+    return callback_or_promise(result, callback);
+}
+
+/**
+ * A private helper function for diff_namespace() that retrieves the
+ * schemas, auxiliary schemas and nodes of a namespace from a client, or
+ * reads them from an archive.
+ * @param {OSDFClient|string|Object} source - The client, or the archive.
+ * @param {string} namespace - The namespace to retrieve.
+ * @param {Object} opts - Per-call options for each request.
+ * @returns {Promise} A promise for the schemas, aux_schemas and nodes.
+ */
+function load_snapshot(source, namespace, opts) {
+    if (! (source instanceof OSDFClient)) {
+        return new Promise(function(resolve, reject) {
+            archive.read_archive(source, function(err, contents) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(contents);
+                }
+            });
+        });
+    }
+
+    return Promise.all([
+        source.get_schemas(namespace, opts),
+        source.get_aux_schemas(namespace, opts),
+        source.query_all({query: {match_all: {}}}, namespace, opts)
+    ]).then(function(found) {
+        return {
+            schemas: found[0],
+            aux_schemas: found[1],
+            nodes: found[2]['results']
+        };
+    });
+}
+
+/**
+ * A private helper function for requests that retrieve a JSON document.
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the request
+ * has completed. Invoked with (err, data).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function get_helper(client, options, opts, callback) {
+    return request_helper(client, options, null, parse_json_handler(options),
+        opts, callback);
+}
+
+/**
+ * A private helper function for requests that delete a document. The
+ * server answers a successful deletion with a 204.
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the request
+ * has completed. Invoked with (err).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function deletion_helper(client, options, opts, callback) {
+    return request_helper(client, options, null,
+        status_handler(options, 204), opts, callback);
+}
+
+/**
+ * A private helper function for requests that replace a document. The
+ * server answers a successful edit with a 200.
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object} data - The new document.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the request
+ * has completed. Invoked with (err).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function edit_helper(client, options, data, opts, callback) {
+    return request_helper(client, options, data,
+        status_handler(options, 200), opts, callback);
+}
+
+/**
+ * A private helper function for requests that create a document. The
+ * server answers a successful insertion with a 201.
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object} data - The document to create.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the request
+ * has completed. Invoked with (err).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function insertion_helper(client, options, data, opts, callback) {
+    return request_helper(client, options, data,
+        status_handler(options, 201), opts, callback);
+}
+
+/**
+ * A private helper function that all requests to the OSDF server go through.
+ * It issues the request, collects the response body and hands both to the
+ * given handler, which decides what the result of the call is. Failures are
+ * always reported as OSDFError objects: a handler throws one for an
+ * unexpected status code, and connection problems become a NetworkError.
+ *
+ * Supported per-call options are:
+ *   {
+ *     "timeout": "milliseconds to wait for each attempt to complete",
+ *     "signal":  "an AbortSignal that cancels the request",
+ *     "retry":   "false, true, or an object overriding the retry policy"
+ *   }
+ *
+ * If no timeout is given, the client's default timeout (see setup()) is
+ * used. A request that runs out of time fails with a TimeoutError, and one
+ * that is cancelled through its signal fails with an AbortError.
+ *
+ * Requests that are safe to repeat (see is_idempotent()) are retried
+ * according to the client's retry policy when they fail with a transient
+ * error. Other requests, such as insertions, are only retried if the caller
+ * opts in with the retry option.
+ *
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object|string} data - The request body, or null if there is none.
+ * Strings are sent as they are, anything else is encoded as JSON.
+ * @param {Function} handler - Invoked with (response, body) once the response
+ * has been received. Its return value becomes the result of the call.
+ * @param {Object} [opts] - Per-call options, such as timeout, signal and retry.
+ * @param {Function} [callback] - A callback which is called when the request
+ * has completed. Invoked with (err, result).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function request_helper(client, options, data, handler, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = null;
+    }
+
+    opts = opts || {};
+
+    var timeout = _.has(opts, 'timeout') ? opts['timeout'] : client.timeout;
+    var signal = opts['signal'];
+    var policy = retry_policy(client, options, opts['retry']);
+
+    var details = {
+        method: options['method'],
+        path: options['path']
+    };
+
+    var attempt = 1;
+
+    var promise = new Promise(function(resolve, reject) {
+        var retry = function(err) {
+            if (attempt >= policy['max_attempts'] ||
+                    ! is_retryable(err, policy)) {
+                reject(err);
+                return;
+            }
+
+            var delay = backoff_delay(policy, attempt);
+
+            if (_.isFunction(policy['on_retry'])) {
+                // A failing hook fails the call, rather than leaving it
+                // unsettled.
+                try {
+                    policy['on_retry'](err, attempt, delay);
+                } catch (hook_err) {
+                    reject(hook_err);
+                    return;
+                }
+            }
+
+            attempt++;
+
+            sleep(delay, signal, details).then(function() {
+                return single_request(client, options, data, handler,
+                    timeout, signal, details);
+            }).then(resolve, retry);
+        };
+
+        single_request(client, options, data, handler, timeout, signal,
+            details).then(resolve, retry);
+    });
+
+    return callback_or_promise(promise, callback);
+}
+
+/**
+ * A private helper function that performs a single attempt of a request.
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object|string} data - The request body, or null if there is none.
+ * @param {Function} handler - Invoked with (response, body) once the response
+ * has been received.
+ * @param {number} timeout - Milliseconds to wait for the request to complete,
+ * or a falsy value to wait indefinitely.
+ * @param {AbortSignal} [signal] - A signal that cancels the request.
+ * @param {Object} details - The method and path, for reporting errors.
+ * @returns {Promise} A promise for the value returned by the handler.
+ */
+function single_request(client, options, data, handler, timeout, signal,
+    details) {
+    return new Promise(function(resolve, reject) {
+        var timer = null;
+        var failure = null;
+
+        if (signal && signal.aborted) {
+            reject(new errors.AbortError('The request was aborted.', details));
+            return;
+        }
+
+        var request = client.transport.request(options, function(response) {
+            var body = '';
+
+            response.on('data', function(chunk) {
+                body = body + chunk;
+            });
+
+            response.on('error', fail);
+
+            response.on('end', function() {
+                cleanup();
+
+                try {
+                    resolve(handler(response, body));
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+
+        request.on('error', fail);
+
+        if (timeout) {
+            timer = setTimeout(function() {
+                abort(new errors.TimeoutError(
+                    'The request timed out after ' + timeout + ' ms.',
+                    details));
+            }, timeout);
+        }
+
+        if (signal) {
+            signal.addEventListener('abort', on_abort);
+        }
+
+        if (data !== null) {
+            if (_.isString(data)) {
+                request.write(data);
+            } else {
+                request.write(JSON.stringify(data));
+            }
+        }
+
+        request.end();
+
+        function on_abort() {
+            abort(new errors.AbortError('The request was aborted.', details));
+        }
+
+        function abort(reason) {
+            failure = reason;
+            request.destroy();
+            fail(reason);
+        }
+
+        function fail(err) {
+            cleanup();
+
+            // If we tore the request down ourselves, report why, rather than
+            // the socket error that resulted from it.
+            if (failure) {
+                reject(failure);
+            } else {
+                reject(new errors.NetworkError(err.message,
+                    _.assign({cause: err}, details)));
+            }
+        }
+
+        function cleanup() {
+            clearTimeout(timer);
+
+            if (signal) {
+                signal.removeEventListener('abort', on_abort);
+            }
+        }
+    });
+}
+
+/**
+ * A private helper function to determine the retry policy for a request,
+ * from the client's policy and the retry option given for the call.
+ * @param {OSDFClient} client - The client issuing the request.
+ * @param {Object} options - An options object used by the http module.
+ * @param {boolean|Object} [retry] - The retry option given for the call.
+ * @returns {Object} The retry policy to use. Requests that should not be
+ * retried get a policy allowing a single attempt.
+ */
+function retry_policy(client, options, retry) {
+    if (retry === false ||
+            (retry === undefined && ! is_idempotent(options))) {
+        return {max_attempts: 1};
+    }
+
+    if (_.isPlainObject(retry)) {
+        return _.assign({}, client.retry, retry);
+    }
+
+    // Asking for retries overrides a client that has them disabled, which
+    // would otherwise allow a single attempt.
+    if (retry === true && client.retry['max_attempts'] <= 1) {
+        return _.assign({}, client.retry, {
+            max_attempts: DEFAULT_RETRY_POLICY['max_attempts']
+        });
+    }
+
+    return client.retry;
+}
+
+/**
+ * A private helper function to determine whether a request can be repeated
+ * without changing its outcome, and may therefore be retried automatically.
+ * Queries are sent with POST, but only read data, so they are as safe to
+ * repeat as a GET.
+ * @param {Object} options - An options object used by the http module.
+ * @returns {boolean} True if the request is idempotent.
+ */
+function is_idempotent(options) {
+    if (_.includes(['GET', 'HEAD', 'PUT', 'DELETE'], options['method'])) {
+        return true;
+    }
+
+    return /^\/nodes\/(query|oql)\//.test(options['path']);
+}
+
+/**
+ * A private helper function to determine whether a failed request is worth
+ * trying again: connection failures and the status codes named by the
+ * policy are considered transient.
+ * @param {Error} err - The error the request failed with.
+ * @param {Object} policy - The retry policy in effect.
+ * @returns {boolean} True if the request should be retried.
+ */
+function is_retryable(err, policy) {
+    if (err instanceof errors.NetworkError) {
+        return true;
+    }
+
+    return err instanceof errors.OSDFError &&
+        _.includes(policy['status_codes'], err.status_code);
+}
+
+/**
+ * A private helper function to compute how long to wait before a retry. The
+ * delay doubles with each attempt, up to the policy's maximum, and with
+ * jitter enabled a random delay up to that value is used instead, so that
+ * many clients failing at once do not all retry in lockstep.
+ * @param {Object} policy - The retry policy in effect.
+ * @param {number} attempt - The number of the attempt that just failed.
+ * @returns {number} The delay in milliseconds.
+ */
+function backoff_delay(policy, attempt) {
+    var delay = Math.min(policy['max_delay'],
+        policy['base_delay'] * Math.pow(2, attempt - 1));
+
+    if (policy['jitter']) {
+        delay = Math.floor(Math.random() * delay);
+    }
+
+    return delay;
+}
+
+/**
+ * A private helper function that waits for a while, unless cancelled.
+ * @param {number} delay - The number of milliseconds to wait.
+ * @param {AbortSignal} [signal] - A signal that cancels the wait.
+ * @param {Object} details - The method and path, for reporting errors.
+ * @returns {Promise} A promise that resolves after the delay, or rejects
+ * with an AbortError if the signal fires first.
+ */
+function sleep(delay, signal, details) {
+    return new Promise(function(resolve, reject) {
+        var on_abort = function() {
+            clearTimeout(timer);
+            reject(new errors.AbortError('The request was aborted.', details));
+        };
+
+        var timer = setTimeout(function() {
+            if (signal) {
+                signal.removeEventListener('abort', on_abort);
+            }
+
+            resolve();
+        }, delay);
+
+        if (signal) {
+            if (signal.aborted) {
+                on_abort();
+            } else {
+                signal.addEventListener('abort', on_abort);
+            }
+        }
+    });
+}
+
+/**
+ * A private helper function that makes a response handler for requests that
+ * succeed with a specific status code and have no result.
+ * @param {Object} options - The options object the request is made with.
+ * @param {number} status_code - The status code that indicates success.
+ * @returns {Function} A handler for request_helper().
+ */
+function status_handler(options, status_code) {
+    return function(response, body) {
+        if (response['statusCode'] !== status_code) {
+            throw errors.from_response(response, body, options);
+        }
+    };
+}
+
+/**
+ * A private helper function that makes a response handler for requests that
+ * succeed with any 2xx status code and yield a JSON document.
+ * @param {Object} options - The options object the request is made with.
+ * @returns {Function} A handler for request_helper().
+ */
+function parse_json_handler(options) {
+    return function(response, body) {
+        if (response['statusCode'] < 200 || response['statusCode'] >= 300) {
+            throw errors.from_response(response, body, options);
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            throw new errors.ParseError(
+                'Unable to parse the server response: ' + err.message, {
+                    status_code: response['statusCode'],
+                    method: options['method'],
+                    path: options['path'],
+                    body: body,
+                    cause: err
+                });
+        }
+    };
+}
+
+/**
+ * A private helper function to support both of the calling conventions the
+ * client offers. If a traditional error callback is given, it is invoked
+ * with (err, result) once the promise settles, otherwise the promise itself
+ * is returned.
+ * @param {Promise} promise - The promise for the work being performed.
+ * @param {Function} [callback] - A callback invoked with (err, result).
+ * @returns {Promise} The promise, if a callback is omitted.
+ */
+function callback_or_promise(promise, callback) {
+    if (! _.isFunction(callback)) {
+        return promise;
+    }
+
+    // Invoke the callback outside of the promise chain, so that exceptions
+    // thrown by the callback are not swallowed as rejections.
+    promise.then(function(result) {
+        process.nextTick(callback, null, result);
+    }, function(err) {
+        process.nextTick(callback, err, null);
+    });
+}
+
+/**
+ * A private helper function used by the public functions that retrieve all
+ * the results of a query. The first page reveals the total number of
+ * results and the page size, from which the number of remaining pages is
+ * computed. Those are then fetched with bounded concurrency, and their
+ * results are concatenated in page order.
+ * @param {OSDFClient} client - The client to query with.
+ * @param {Object|string} query - An ES (JSON) or OQL (string) query.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options for each page request, as well
+ * as concurrency, the number of pages to fetch at a time.
+ * @returns {Promise} A promise for the combined results.
+ */
+function query_all_helper(client, query, namespace, opts) {
+    opts = opts || {};
+
+    var func = _.isString(query) ? client.oql_query_page :
+        client.query_page;
+
+    var concurrency = opts['concurrency'] || DEFAULT_QUERY_CONCURRENCY;
+    var page_opts = _.omit(opts, 'concurrency');
+
+    return func.call(client, query, namespace, 1, page_opts)
+        .then(function(first_page) {
+            var total = first_page['search_result_total'];
+            var page_size = first_page['results'].length;
+            var remaining = [];
+
+            if (page_size > 0) {
+                remaining = _.range(2, Math.ceil(total / page_size) + 1);
+            }
+
+            return new Promise(function(resolve, reject) {
+                async.mapLimit(remaining, concurrency, function(page, cb) {
+                    func.call(client, query, namespace, page, page_opts, cb);
+                }, function(err, pages) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    var all_results = _.flatMap([first_page].concat(pages),
+                        'results');
+
+                    resolve({
+                        'search_result_total': total,
+                        'result_count': all_results.length,
+                        'results': all_results
+                    });
+                });
+            });
+        });
+}
+
+/**
+ * A private helper function that makes an async iterator over the nodes
+ * matching a query, fetching one page of results at a time. A page is only
+ * requested when the caller asks for a node and the nodes of the previous
+ * page have all been handed out.
+ * @param {OSDFClient} client - The client to query with.
+ * @param {Object|string} query - An ES (JSON) or OQL (string) query.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} [opts] - Per-call options for each page request.
+ * @returns {Object} An async iterator yielding node documents.
+ */
+function make_page_iterator(client, query, namespace, opts) {
+    var func = _.isString(query) ? client.oql_query_page :
+        client.query_page;
+
+    var page = 1;
+    var seen = 0;
+    var buffer = [];
+    var finished = false;
+
+    // Calls to next() are chained, so that concurrent callers never cause the
+    // same page to be fetched twice.
+    var pending = Promise.resolve();
+
+    var next_node = function() {
+        if (buffer.length > 0) {
+            return Promise.resolve({value: buffer.shift(), done: false});
+        }
+
+        if (finished) {
+            return Promise.resolve({value: undefined, done: true});
+        }
+
+        return func.call(client, query, namespace, page, opts || {})
+            .then(function(page_result) {
+                var results = page_result['results'];
+
+                page++;
+                seen = seen + results.length;
+
+                if (results.length === 0 ||
+                        seen >= page_result['search_result_total']) {
+                    finished = true;
+                }
+
+                buffer = results;
+
+                return next_node();
+            }, function(err) {
+                finished = true;
+                buffer = [];
+
+                throw err;
+            });
+    };
+
+    var iterator = {
+        next: function() {
+            var result = pending.then(next_node);
+
+            pending = result.catch(_.noop);
+
+            return result;
+        },
+        return: function() {
+            finished = true;
+            buffer = [];
+
+            return Promise.resolve({value: undefined, done: true});
+        }
+    };
+
+    iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+    };
+
+    return iterator;
+}
+
+/**
+ * A private helper function for dump_namespace() that writes out the nodes
+ * of a page iterator, one at a time, as archive records.
+ * @param {Object} iterator - An iterator made with make_page_iterator().
+ * @param {Object} writer - The archive writer.
+ * @returns {Promise} A promise resolving to the number of nodes written.
+ */
+function write_nodes(iterator, writer) {
+    var count = 0;
+
+    return new Promise(function(resolve, reject) {
+        var next = function() {
+            iterator.next().then(function(item) {
+                if (item.done) {
+                    resolve(count);
+                    return;
+                }
+
+                count++;
+
+                writer.write({type: 'node', node: item.value})
+                    .then(next, reject);
+            }, reject);
+        };
+
+        next();
+    });
+}
+
+/**
+ * A private helper function that wraps an async iterator of nodes in a
+ * readable stream. The stream only pulls from the iterator when its consumer
+ * is ready for more data, so backpressure propagates to the page fetches.
+ * @param {Object} iterator - An iterator made with make_page_iterator().
+ * @returns {stream.Readable} A readable stream in object mode.
+ */
+function make_page_stream(iterator) {
+    return new stream.Readable({
+        objectMode: true,
+        read: function() {
+            var readable = this;
+
+            iterator.next().then(function(item) {
+                readable.push(item.done ? null : item.value);
+            }, function(err) {
+                readable.destroy(err);
+            });
+        },
+        destroy: function(err, cb) {
+            iterator.return().then(function() {
+                cb(err);
+            });
+        }
+    });
+}
+
+/**
+ * A private helper function that retrieves all the nodes linked to or from
+ * a node. The linkage endpoints are paginated, so pages are requested until
+ * as many nodes have been received as the first page reported in its
+ * result_count.
+ * @param {OSDFClient} client - The client to issue the requests with.
+ * @param {string} node_id - The ID of the node.
+ * @param {string} direction - Either "in" or "out".
+ * @param {Object} [opts] - Per-call options for each page request.
+ * @returns {Promise} A promise for the linked node documents.
+ * @throws {OSDFError} If a page comes back empty before all the linked
+ * nodes have been received.
+ */
+function linked_nodes_helper(client, node_id, direction, opts) {
+    var nodes = [];
+
+    var fetch = function(page) {
+        var options = {
+            auth: client.auth,
+            host: client.host,
+            port: client.port,
+            path: '/nodes/' + node_id + '/' + direction +
+                (page > 1 ? '/page/' + page : ''),
+            method: 'GET'
+        };
+
+        return get_helper(client, options, opts).then(function(links) {
+            var results = links['results'] || [];
+            var total = _.has(links, 'result_count') ?
+                links['result_count'] : results.length;
+
+            nodes = nodes.concat(results);
+
+            if (nodes.length >= total) {
+                return nodes;
+            }
+
+            if (results.length === 0) {
+                throw new errors.OSDFError('Only ' + nodes.length + ' of the ' +
+                    total + ' nodes linked ' + (direction === 'in' ?
+                    'to' : 'from') + ' node ' + node_id +
+                    ' could be retrieved.', {
+                    method: options['method'],
+                    path: options['path']
+                });
+            }
+
+            return fetch(page + 1);
+        });
+    };
+
+    return fetch(1);
+}
+
+/**
+ * A private helper function that performs the breadth first walk for
+ * traverse(), one level of the graph at a time.
+ * @param {OSDFClient} client - The client to fetch nodes with.
+ * @param {string} start_id - The ID of the node to start from.
+ * @param {Object} opts - The traversal and per-call options.
+ * @returns {Promise} A promise for the visited nodes and edges.
+ */
+function traverse_helper(client, start_id, opts) {
+    var direction = opts['direction'] || 'out';
+    var relations = opts['relations'] || null;
+    var max_depth = _.has(opts, 'max_depth') ? opts['max_depth'] : Infinity;
+    var concurrency = opts['concurrency'] || DEFAULT_TRAVERSAL_CONCURRENCY;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+
+    if (! _.includes(['in', 'out', 'both'], direction)) {
+        return Promise.reject(new TypeError('Invalid traversal direction "' +
+            direction + '".'));
+    }
+
+    var visited = {};
+    var nodes = [];
+    var edges = {};
+
+    var accept = function(node) {
+        if (opts['node_types'] &&
+                ! _.includes(opts['node_types'], node['node_type'])) {
+            return false;
+        }
+
+        return ! _.isFunction(opts['filter']) || opts['filter'](node) !== false;
+    };
+
+    var follows = function(relation) {
+        return relations === null || _.includes(relations, relation);
+    };
+
+    // Finds the neighbours of a node, along with the edges leading to them.
+    var expand = function(node) {
+        var lookup = function(link_direction) {
+            return linked_nodes_helper(client, node['id'], link_direction,
+                request_opts).then(function(linked) {
+                return _.flatMap(linked, function(other) {
+                    var found = link_direction === 'out' ?
+                        link_edges(node, other) : link_edges(other, node);
+
+                    return found.filter(function(edge) {
+                        return follows(edge['relation']);
+                    }).map(function(edge) {
+                        return {node: other, edge: edge};
+                    });
+                });
+            });
+        };
+
+        var lookups = [];
+
+        if (direction === 'out' || direction === 'both') {
+            lookups.push(lookup('out'));
+        }
+
+        if (direction === 'in' || direction === 'both') {
+            lookups.push(lookup('in'));
+        }
+
+        return Promise.all(lookups).then(_.flatten);
+    };
+
+    var walk = function(level, depth) {
+        if (level.length === 0 || depth >= max_depth) {
+            return Promise.resolve();
+        }
+
+        return new Promise(function(resolve, reject) {
+            async.mapLimit(level, concurrency, function(node, cb) {
+                expand(node).then(function(neighbours) {
+                    cb(null, neighbours);
+                }, cb);
+            }, function(err, results) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                var next_level = [];
+
+                _.forEach(_.flatten(results), function(neighbour) {
+                    var id = neighbour['node']['id'];
+
+                    if (! _.has(visited, id)) {
+                        visited[id] = accept(neighbour['node']);
+
+                        if (visited[id]) {
+                            nodes.push(neighbour['node']);
+                            next_level.push(neighbour['node']);
+                        }
+                    }
+
+                    if (visited[id]) {
+                        var edge = neighbour['edge'];
+                        var key = [edge['source'], edge['relation'],
+                            edge['target']].join('\u0000');
+
+                        edges[key] = edge;
+                    }
+                });
+
+                resolve(walk(next_level, depth + 1));
+            });
+        });
+    };
+
+    return client.get_node(start_id, request_opts).then(function(start) {
+        visited[start['id']] = true;
+        nodes.push(start);
+
+        return walk([start], 0);
+    }).then(function() {
+        return {
+            nodes: nodes,
+            edges: _.values(edges)
+        };
+    });
+}
+
+/**
+ * A private helper function that builds a graph from a list of node IDs:
+ * the nodes are fetched, and every linkage between two of them becomes an
+ * edge.
+ * @param {OSDFClient} client - The client to fetch nodes with.
+ * @param {string[]} node_ids - The IDs of the nodes in the graph.
+ * @param {Object} opts - Per-call options, as well as concurrency.
+ * @returns {Promise} A promise for the graph, with nodes and edges.
+ */
+function subgraph_helper(client, node_ids, opts) {
+    var concurrency = opts['concurrency'] || DEFAULT_TRAVERSAL_CONCURRENCY;
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+
+    return new Promise(function(resolve, reject) {
+        async.mapLimit(_.uniq(node_ids), concurrency, function(node_id, cb) {
+            client.get_node(node_id, request_opts).then(function(node) {
+                cb(null, node);
+            }, cb);
+        }, function(err, nodes) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            var edges = _.flatMap(nodes, function(source) {
+                return _.flatMap(nodes, function(target) {
+                    return link_edges(source, target);
+                });
+            });
+
+            resolve({
+                nodes: nodes,
+                edges: edges
+            });
+        });
+    });
+}
+
+/**
+ * A private helper function for update_by_query() and delete_by_query(). It
+ * collects the nodes matching the query, then processes them with bounded
+ * concurrency, tallying the outcome for each of them.
+ * @param {OSDFClient} client - The client to query the nodes with.
+ * @param {string|Object} query - The OQL or ElasticSearch query.
+ * @param {string} namespace - The namespace to query nodes from.
+ * @param {Object} opts - Per-call options, including concurrency, dry_run
+ * and on_progress.
+ * @param {Object} actions - The plan function, invoked with (node) on a dry
+ * run, and the apply function, invoked with (node) otherwise and resolving
+ * to the name of the summary list to add the node to.
+ * @param {Object} [extra] - Additional lists to include in the summary.
+ * @returns {Promise} A promise resolving to the summary.
+ */
+function by_query_helper(client, query, namespace, opts, actions, extra) {
+    var concurrency = opts['concurrency'] || DEFAULT_BULK_CONCURRENCY;
+    var dry_run = Boolean(opts['dry_run']);
+    var query_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
+
+    return query_all_helper(client, query, namespace, query_opts)
+        .then(function(found) {
+            var nodes = found['results'];
+            var done = 0;
+
+            var summary = {
+                dry_run: dry_run,
+                total: nodes.length
+            };
+
+            if (dry_run) {
+                summary['planned'] = [];
+            } else {
+                _.assign(summary, {succeeded: []}, extra, {
+                    conflicts: [],
+                    failed: []
+                });
+            }
+
+            var progress = function(id, status) {
+                done++;
 
-            response.on('data', function(chunk) {
-                body = body + chunk;
-            });
+                if (_.isFunction(opts['on_progress'])) {
+                    opts['on_progress']({
+                        id: id,
+                        status: status,
+                        done: done,
+                        total: nodes.length
+                    });
+                }
+            };
 
-            response.on('end', function() {
-                // 422 node data was INVALID
-                // 200 node data was valida
-                if (response['statusCode'] === 422 ||
-                    response['statusCode'] === 200) {
-                    callback(null, body);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error'], null);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage'], null);
+            var process_node = function(node, cb) {
+                if (dry_run) {
+                    Promise.resolve(actions.plan(node)).then(function(plan) {
+                        summary['planned'].push(plan);
+                        progress(node['id'], 'planned');
+                        cb();
+                    }, cb);
+                    return;
+                }
+
+                actions.apply(node).then(function(status) {
+                    summary[status].push(node['id']);
+                    progress(node['id'], status);
+                    cb();
+                }, function(err) {
+                    if (err instanceof errors.ConflictError) {
+                        summary['conflicts'].push(node['id']);
+                        progress(node['id'], 'conflict');
                     } else {
-                        callback(response['statusCode'], null);
+                        summary['failed'].push({id: node['id'], error: err});
+                        progress(node['id'], 'failed');
                     }
-                }
+
+                    cb();
+                });
+            };
+
+            return new Promise(function(resolve, reject) {
+                async.eachLimit(nodes, concurrency, process_node,
+                    function(err) {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve(summary);
+                        }
+                    });
             });
+        });
+}
+
+/**
+ * A private helper function for insert_nodes(). Documents are inserted in
+ * rounds: each round inserts, concurrently, every document whose local
+ * links all point to documents inserted in earlier rounds.
+ * @param {OSDFClient} client - The client to insert the nodes with.
+ * @param {Object[]} docs - The node documents, possibly with local IDs.
+ * @param {Object} opts - Per-call options, including concurrency.
+ * @returns {Promise} A promise resolving to the report.
+ */
+function insert_nodes_helper(client, docs, opts) {
+    var concurrency = opts['concurrency'] || DEFAULT_INSERT_CONCURRENCY;
+    var request_opts = _.omit(opts, 'concurrency');
+
+    var local_ids = _.reject(_.map(docs, 'id'), _.isUndefined);
+
+    if (_.uniq(local_ids).length !== local_ids.length) {
+        return Promise.reject(new TypeError('Local IDs must be unique.'));
+    }
+
+    var results = _.map(docs, function(doc) {
+        return {
+            local_id: doc['id'] === undefined ? null : doc['id'],
+            id: null,
+            error: null
         };
+    });
 
-        var request = http.request(options, cb);
+    // The real ID of each inserted document, by local ID.
+    var assigned = {};
 
-        request.on('error', function(err) {
-            callback(err, null);
-        });
+    // The local IDs each document links to.
+    var links = _.map(docs, function(doc) {
+        return _.intersection(_.flatten(_.values(doc['linkage'])),
+            local_ids);
+    });
 
-        request.write(JSON.stringify(node_data));
+    var pending = _.range(docs.length);
 
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                var body = '';
+    // The position of each document in the batch, by local ID.
+    var positions = {};
 
-                response.on('data', function(chunk) {
-                    body = body + chunk;
-                });
+    _.forEach(docs, function(doc, index) {
+        if (doc['id'] !== undefined) {
+            positions[doc['id']] = index;
+        }
+    });
 
-                response.on('end', function() {
-                    // 422 node data was INVALID
-                    // 200 node data was valida
-                    if (response['statusCode'] === 422 ||
-                        response['statusCode'] === 200) {
-                        resolve(body);
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage'))  {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
+    var failed_link = function(index) {
+        return _.find(links[index], function(local_id) {
+            return results[positions[local_id]]['error'] !== null;
+        });
+    };
 
-            var request = http.request(options, cb);
+    var insert = function(index, cb) {
+        var doc = _.omit(docs[index], 'id');
 
-            request.on('error', function(err) {
-                reject(err);
+        if (_.has(doc, 'linkage')) {
+            doc['linkage'] = _.mapValues(doc['linkage'], function(targets) {
+                return _.map(targets, function(target) {
+                    return _.has(assigned, target) ? assigned[target] : target;
+                });
             });
+        }
 
-            request.write(JSON.stringify(node_data));
+        client.insert_node(doc, request_opts).then(function(id) {
+            results[index]['id'] = id;
+
+            if (results[index]['local_id'] !== null) {
+                assigned[results[index]['local_id']] = id;
+            }
 
-            request.end();
+            cb();
+        }, function(err) {
+            results[index]['error'] = err;
+            cb();
         });
-    }
-};
+    };
 
-function get_helper(options, callback) {
-    if (_.isFunction(callback)) {
-        var cb = make_regular_cb(callback);
+    var round = function() {
+        // Give up on documents that link to a document that failed.
+        var blocked = _.filter(pending, function(index) {
+            var link = failed_link(index);
 
-        var request = http.request(options, cb);
+            if (link !== undefined) {
+                results[index]['error'] = new errors.OSDFError(
+                    'Not inserted, as the linked node ' + link +
+                    ' could not be inserted.');
+            }
 
-        request.on('error', function(err) {
-            callback(err, null);
+            return link !== undefined;
         });
 
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = make_promise_cb(resolve, reject);
+        pending = _.difference(pending, blocked);
 
-            var request = http.request(options, cb);
+        var ready = _.filter(pending, function(index) {
+            return _.every(links[index], function(local_id) {
+                return _.has(assigned, local_id);
+            });
+        });
 
-            request.on('error', function(err) {
-                reject(err);
+        if (ready.length === 0) {
+            // Whatever is left links in a circle.
+            _.forEach(pending, function(index) {
+                results[index]['error'] = new errors.OSDFError(
+                    'Not inserted, as its linkage to other nodes of the ' +
+                    'batch forms a cycle.');
             });
 
-            request.end();
-        });
-    }
-}
+            return Promise.resolve();
+        }
 
-function deletion_helper(options, callback) {
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            response.on('data', function(chunk) {
-                // ignored
+        pending = _.difference(pending, ready);
+
+        return new Promise(function(resolve) {
+            async.eachLimit(ready, concurrency, insert, function() {
+                resolve();
             });
-            response.on('end', function() {
-                if (response['statusCode'] === 204) {
-                    callback(null);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error']);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage']);
-                    } else {
-                        callback(response['statusCode']);
-                    }
+        }).then(round);
+    };
+
+    return round().then(function() {
+        var inserted = _.filter(results, {error: null}).length;
+
+        return {
+            inserted: inserted,
+            failed: results.length - inserted,
+            results: results
+        };
+    });
+}
+
+/**
+ * A private helper function that works out the references between schemas
+ * and auxiliary schemas, as described for get_schema_dependencies().
+ * @param {Object} schemas - The schemas, by name.
+ * @param {Object} aux_schemas - The auxiliary schemas, by name.
+ * @returns {Object} The dependencies.
+ */
+function schema_dependencies(schemas, aux_schemas) {
+    schemas = schemas || {};
+    aux_schemas = aux_schemas || {};
+
+    var missing = [];
+
+    var refs_of = function(kind, all) {
+        return _.mapValues(all, function(schema, name) {
+            var refs = validator.aux_refs(schema);
+
+            _.forEach(refs, function(ref) {
+                if (! _.has(aux_schemas, ref)) {
+                    missing.push({kind: kind, name: name, ref: ref});
                 }
             });
+
+            return _.filter(refs, function(ref) {
+                return _.has(aux_schemas, ref);
+            });
+        });
+    };
+
+    var schema_refs = refs_of('schema', schemas);
+    var aux_schema_refs = refs_of('aux_schema', aux_schemas);
+
+    // Whether a schema depends on an auxiliary schema, directly or through
+    // other auxiliary schemas.
+    var depends_on = function(refs, target) {
+        var seen = [];
+        var pending = refs.slice();
+
+        while (pending.length > 0) {
+            var name = pending.shift();
+
+            if (name === target) {
+                return true;
+            }
+
+            if (! _.includes(seen, name)) {
+                seen.push(name);
+                pending = pending.concat(aux_schema_refs[name]);
+            }
+        }
+
+        return false;
+    };
+
+    var dependents = _.mapValues(aux_schemas, function(aux_schema, target) {
+        return {
+            schemas: _.filter(_.keys(schemas), function(name) {
+                return depends_on(schema_refs[name], target);
+            }),
+            aux_schemas: _.filter(_.keys(aux_schemas), function(name) {
+                return name !== target &&
+                    depends_on(aux_schema_refs[name], target);
+            })
         };
+    });
 
-        var request = http.request(options, cb);
+    return {
+        schemas: schema_refs,
+        aux_schemas: aux_schema_refs,
+        dependents: dependents,
+        missing: missing
+    };
+}
 
-        request.on('error', function(err) {
-            callback(err, null);
-        });
+/**
+ * A private helper function that builds the error a safe deletion fails
+ * with when what it would delete is still in use.
+ * @param {Object} options - The options of the deletion request.
+ * @param {string} message - A description of the problem.
+ * @param {Object} dependents - What still uses the schema.
+ * @returns {ConflictError} The error.
+ */
+function in_use_error(options, message, dependents) {
+    var err = new errors.ConflictError(message, {
+        method: options['method'],
+        path: options['path']
+    });
 
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                response.on('data', function(chunk) {
-                    // ignored
-                });
-                response.on('end', function() {
-                    if (response['statusCode'] === 204) {
-                        resolve();
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage'))  {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
+    err.dependents = dependents;
 
-            var request = http.request(options, cb);
+    return err;
+}
 
-            request.on('error', function(err) {
-                reject(err);
-            });
+/**
+ * A private helper function for get_bundled_schema() that places auxiliary
+ * schemas in the definitions of a schema and rewrites the references to
+ * them.
+ * @param {Object} schema - The schema to bundle.
+ * @param {Object} aux_schemas - The auxiliary schemas it refers to, directly
+ * or indirectly, by name.
+ * @param {boolean} allow_cycles - Whether circular references are allowed.
+ * @returns {Object} The bundled copy of the schema.
+ * @throws {OSDFError} If the auxiliary schemas refer to one another in a
+ * circle and that is not allowed, or if a definition is already taken.
+ */
+function bundle_schema(schema, aux_schemas, allow_cycles) {
+    if (! allow_cycles) {
+        var cycle = find_ref_cycle(schema, aux_schemas);
 
-            request.end();
-        });
+        if (cycle !== null) {
+            throw new errors.OSDFError('Circular reference between ' +
+                'auxiliary schemas: ' + cycle.join(' -> ') + '.');
+        }
     }
-}
 
-function insertion_helper(options, data, callback) {
-    if (_.isFunction(callback)) {
-        var cb = function(response) {
-            response.on('data', function(chunk) {
-                // ignored
-            });
-            response.on('end', function() {
-                if (response['statusCode'] === 201) {
-                    callback(null);
-                } else {
-                    if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                        callback(response['headers']['x-osdf-error'], null);
-                    } else if (response.hasOwnProperty('statusMessage'))  {
-                        callback(response['statusMessage'], null);
-                    } else {
-                        callback(response['statusCode'], null);
-                    }
-                }
+    // Rewrites the references found in a schema, which is either the one
+    // being bundled or, if owner is given, the auxiliary schema of that name.
+    var rewrite = function(value, owner) {
+        if (_.isArray(value)) {
+            return _.map(value, function(item) {
+                return rewrite(item, owner);
             });
-        };
+        }
 
-        var request = http.request(options, cb);
+        if (! _.isPlainObject(value)) {
+            return value;
+        }
 
-        request.on('error', function(err) {
-            callback(err, null);
+        var copy = _.mapValues(value, function(item) {
+            return rewrite(item, owner);
         });
 
-        request.write(JSON.stringify(data));
+        if (_.isString(value['$ref'])) {
+            var ref = validator.parse_ref(value['$ref']);
+            var target = ref['name'] || owner;
 
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = function(response) {
-                response.on('data', function(chunk) {
-                    // ignored
-                });
-                response.on('end', function() {
-                    if (response['statusCode'] === 201) {
-                        resolve();
-                    } else {
-                        if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                            reject(response['headers']['x-osdf-error']);
-                        } else if (response.hasOwnProperty('statusMessage')) {
-                            reject(response['statusMessage']);
-                        } else {
-                            reject(response['statusCode']);
-                        }
-                    }
-                });
-            };
+            if (target) {
+                copy['$ref'] = '#/definitions/' +
+                    target.replace(/~/g, '~0').replace(/\//g, '~1') +
+                    ref['pointer'];
+            }
+        }
 
-            var request = http.request(options, cb);
+        return copy;
+    };
 
-            request.on('error', function(err) {
-                reject(err);
-            });
+    var bundled = rewrite(schema, null);
+    var definitions = bundled['definitions'] || {};
 
-            request.write(JSON.stringify(data));
+    _.forEach(aux_schemas, function(aux_schema, name) {
+        if (_.has(definitions, name)) {
+            throw new errors.OSDFError('Cannot bundle auxiliary schema ' +
+                name + ', as the schema already has a definition by that ' +
+                'name.');
+        }
 
-            request.end();
-        });
-    }
+        definitions[name] = rewrite(aux_schema, name);
+    });
+
+    bundled['definitions'] = definitions;
+
+    return bundled;
 }
 
 /**
- * A private helper function to assist in construction of a traditional error
- * callback to indicate when work has completed.
- * @param {Function} callback - The Promise resolve() function.
- * @returns {Function} A function that accepts the HTTP response object and
- * uses the given callback to signal success or failure by invoking it with
- * (err, data).
+ * A private helper function that looks for auxiliary schemas that refer to
+ * one another in a circle, starting from the ones a schema refers to.
+ * @param {Object} schema - The schema to start from.
+ * @param {Object} aux_schemas - The auxiliary schemas, by name.
+ * @returns {string[]} The names along the circle, the first one repeated at
+ * the end, or null if there is none.
  */
-function make_regular_cb(callback) {
-    return function(response) {
-        var body = '';
+function find_ref_cycle(schema, aux_schemas) {
+    var done = {};
 
-        response.on('data', function(chunk) {
-            body = body + chunk;
-        });
+    var visit = function(name, trail) {
+        if (_.includes(trail, name)) {
+            return trail.slice(_.indexOf(trail, name)).concat(name);
+        }
 
-        response.on('end', function() {
-            if (response['statusCode'] >= 200 && response['statusCode'] < 300) {
-                callback(null, JSON.parse(body));
-            } else {
-                if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                    callback(response['headers']['x-osdf-error'], null);
-                } else if (response.hasOwnProperty('statusMessage'))  {
-                    callback(response['statusMessage'], null);
-                } else {
-                    callback(response['statusCode'], null);
-                }
-            }
+        if (done[name] || ! _.has(aux_schemas, name)) {
+            return null;
+        }
+
+        var refs = validator.aux_refs(aux_schemas[name]);
+        var cycle = null;
+
+        _.forEach(refs, function(ref) {
+            cycle = visit(ref, trail.concat(name));
+
+            return cycle === null;
         });
+
+        done[name] = true;
+
+        return cycle;
     };
+
+    var found = null;
+
+    _.forEach(validator.aux_refs(schema), function(name) {
+        found = visit(name, []);
+
+        return found === null;
+    });
+
+    return found;
 }
 
 /**
- * A private helper function to assist in construction of callback that uses
- * promises to resolve/reject the work to be performed.
- * @param {Function} resolve - The Promise resolve() function.
- * @param {Function} reject - The Promise reject() function.
- * @returns {Function} A callback that uses resolve/reject semantics for
- * completion, depending on such things as the HTTP response status code.
+ * A private helper function for sync_schemas() that works out the changes
+ * needed to turn one set of schemas into another, in the order they can be
+ * made in.
+ * @param {Object} wanted - The schemas and aux_schemas to end up with.
+ * @param {Object} current - The schemas and aux_schemas there are now.
+ * @returns {Object[]} The actions, as described for sync_schemas().
  */
-function make_promise_cb(resolve, reject) {
-    return function(response) {
-        var body = '';
+function schema_sync_actions(wanted, current) {
+    var actions_for = function(kind, names) {
+        var wanted_schemas = wanted[kind + 's'];
+        var current_schemas = current[kind + 's'] || {};
+
+        var changes = _.flatMap(names, function(name) {
+            if (! _.has(wanted_schemas, name)) {
+                return [];
+            }
 
-        response.on('data', function(chunk) {
-            body = body + chunk;
-        });
+            if (! _.has(current_schemas, name)) {
+                return [{
+                    action: 'create',
+                    kind: kind,
+                    name: name,
+                    schema: wanted_schemas[name]
+                }];
+            }
 
-        response.on('end', function() {
-            if (response['statusCode'] >= 200 && response['statusCode'] < 300) {
-                resolve(JSON.parse(body));
-            } else {
-                if (response['headers'].hasOwnProperty('x-osdf-error')) {
-                    reject(response['headers']['x-osdf-error']);
-                } else if (response.hasOwnProperty('statusMessage'))  {
-                    reject(response['statusMessage']);
-                } else {
-                    reject(response['statusCode']);
-                }
+            if (_.isEqual(current_schemas[name], wanted_schemas[name])) {
+                return [];
             }
+
+            return [{
+                action: 'update',
+                kind: kind,
+                name: name,
+                schema: wanted_schemas[name],
+                changes: diff.diff(current_schemas[name],
+                    wanted_schemas[name])
+            }];
+        });
+
+        var deletions = _.map(_.filter(names, function(name) {
+            return ! _.has(wanted_schemas, name);
+        }), function(name) {
+            return {action: 'delete', kind: kind, name: name};
         });
+
+        return {changes: changes, deletions: deletions};
     };
-}
 
-function make_query_all_callback_helper() {
-    return function(query, namespace, osdf, callback) {
-        var page = 1;
-        var has_next_page = true;
-        var all_results = [];
+    // Auxiliary schemas referred to by others come before them.
+    var all_aux = _.assign({}, current['aux_schemas'], wanted['aux_schemas']);
+
+    var aux_order = dependents_first({
+        nodes: _.map(_.keys(all_aux), function(name) {
+            return {id: name};
+        }),
+        edges: _.flatMap(all_aux, function(schema, name) {
+            return _.map(_.intersection(validator.aux_refs(schema),
+                _.keys(all_aux)), function(target) {
+                return {source: name, target: target};
+            });
+        })
+    }).reverse();
 
-        var func;
-        if (_.isString(query)) {
-            func = osdf.oql_query_page.bind(osdf);
-        } else {
-            func = osdf.query_page.bind(osdf);
-        }
+    var schema_names = _.union(_.keys(wanted['schemas']),
+        _.keys(current['schemas'])).sort();
 
-        async.doWhilst(
-            function(cb) {
-                func(query, namespace, page, function(err, page_result) {
-                    if (err) {
-                        cb(err);
-                    } else {
-                        page++;
+    var aux = actions_for('aux_schema', aux_order);
+    var schemas = actions_for('schema', schema_names);
 
-                        if (page_result['results'].length > 0) {
-                            all_results = all_results.concat(page_result['results']);
-                        } else {
-                            has_next_page = false;
-                        }
+    return aux['changes'].concat(schemas['changes'], schemas['deletions'],
+        aux['deletions'].reverse());
+}
 
-                        cb(null, all_results);
-                    }
+/**
+ * A private helper function that renders the actions planned by
+ * sync_schemas() as readable text.
+ * @param {string} namespace - The namespace being synchronized.
+ * @param {Object[]} actions - The planned actions.
+ * @returns {string} The text.
+ */
+function render_schema_sync(namespace, actions) {
+    var symbols = {create: '+', update: '~', delete: '-'};
+
+    var lines = [ 'Schema changes for namespace ' + namespace + ':' ];
+
+    _.forEach(actions, function(action) {
+        lines.push('  ' + symbols[action['action']] + ' ' + action['kind'] +
+            ' ' + action['name']);
+
+        if (action['action'] === 'update') {
+            _.forEach(_.trimEnd(diff.render(action['changes'])).split('\n'),
+                function(line) {
+                    lines.push('    ' + line);
                 });
-            },
-            function(results, cb) {
-                cb(null, has_next_page);
-            },
-            function(err, results) {
-                if (err) {
-                    callback(err, null);
-                } else {
-                    var final = {
-                        'search_result_total': all_results.length,
-                        'result_count': all_results.length,
-                        'results': all_results
-                    };
+        }
+    });
 
-                    callback(null, final);
-                }
-            }
-        );
-    };
+    if (actions.length === 0) {
+        lines.push('  (no changes)');
+    }
+
+    return lines.join('\n') + '\n';
 }
 
-function make_query_all_promise_helper() {
-    return function(query, namespace, osdf) {
-        return new Promise(function(resolve, reject) {
-            var has_next_page = true;
-            var all_results = [];
-            var page = 1;
+/**
+ * A private helper function that carries out a single action planned by
+ * sync_schemas().
+ * @param {OSDFClient} client - The client to make the change with.
+ * @param {string} namespace - The namespace being synchronized.
+ * @param {Object} action - The action.
+ * @param {Object} opts - Per-call options.
+ * @returns {Promise} A promise resolving once the change is made.
+ */
+function apply_schema_action(client, namespace, action, opts) {
+    var name = action['name'];
+    var aux = action['kind'] === 'aux_schema';
+
+    switch (action['action']) {
+        case 'create':
+            return aux ?
+                client.insert_aux_schema(namespace, name, action['schema'],
+                    opts) :
+                client.insert_schema(namespace, name, action['schema'], opts);
+        case 'update':
+            return aux ?
+                client.edit_aux_schema(namespace, name, action['schema'],
+                    opts) :
+                client.edit_schema(namespace, name, action['schema'], opts);
+        default:
+            return aux ?
+                client.delete_aux_schema(namespace, name, opts) :
+                client.delete_schema(namespace, name, opts);
+    }
+}
 
-            var func;
-            if (_.isString(query)) {
-                func = osdf.oql_query_page.bind(osdf);
-            } else {
-                func = osdf.query_page.bind(osdf);
-            }
+/**
+ * A private helper function that orders the nodes of a graph so that every
+ * node comes before the nodes it links to. Nodes that are part of a cycle,
+ * where no such order exists, are placed last.
+ * @param {Object} graph - The graph, with nodes and edges.
+ * @returns {string[]} The node IDs, in order.
+ */
+function dependents_first(graph) {
+    var ids = _.map(graph['nodes'], 'id');
 
-            async.doWhilst(
-                function(cb) {
-                    func(query, namespace, page, function(err, page_result) {
-                        if (err) {
-                            cb(err);
-                        } else {
-                            page++;
+    // The number of nodes linking to each node, that are not yet ordered.
+    var dependents = _.zipObject(ids, _.map(ids, _.constant(0)));
 
-                            if (page_result['results'].length > 0) {
-                                all_results = all_results.concat(page_result['results']);
-                            } else {
-                                has_next_page = false;
-                            }
+    _.forEach(graph['edges'], function(edge) {
+        if (edge['source'] !== edge['target']) {
+            dependents[edge['target']]++;
+        }
+    });
 
-                            cb(null, all_results);
-                        }
-                    });
-                },
-                function(results, cb) {
-                    cb(null, has_next_page);
-                },
-                function(err, results) {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        var final = {
-                            'search_result_total': all_results.length,
-                            'result_count': all_results.length,
-                            'results': all_results
-                        };
+    var order = [];
+    var ready = _.filter(ids, function(id) {
+        return dependents[id] === 0;
+    });
 
-                        resolve(final);
-                    }
+    while (ready.length > 0) {
+        var id = ready.shift();
+
+        order.push(id);
+
+        _.forEach(graph['edges'], function(edge) {
+            if (edge['source'] === id && edge['target'] !== id) {
+                dependents[edge['target']]--;
+
+                if (dependents[edge['target']] === 0) {
+                    ready.push(edge['target']);
                 }
-            );
+            }
         });
-    };
+    }
+
+    return order.concat(_.difference(ids, order));
 }
 
 /**
- * A private helper function used by the public OQL and ES query functions.
- * @param {Object} options - An options object used by the http module.
- * @param {Object|string} query - An ES (JSON) or OQL (string) query.
- * @param {Function} [callback] - A callback which is called when the query
- * has completed. Invoked with (err, results).
+ * A private helper function for the functions that manage linkage. It makes
+ * sure the given target nodes exist, then updates the targets of the
+ * relation with update_node().
+ * @param {OSDFClient} client - The client to update the node with.
+ * @param {string} node_id - The ID of the node the links start from.
+ * @param {string} relation - The name of the linkage relation.
+ * @param {string[]} check_ids - The IDs of nodes that must exist.
+ * @param {Function} change - Invoked with (targets), the current targets of
+ * the relation, and returns the new targets.
+ * @param {Object} [opts] - Per-call options.
+ * @param {Function} [callback] - Invoked with (err, node).
  * @returns {Promise} A promise, if a callback is omitted.
  */
-function query_helper(options, query, callback) {
-    if (_.isFunction(callback)) {
-        var cb = make_regular_cb(callback);
+function link_helper(client, node_id, relation, check_ids, change, opts,
+    callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
 
-        var request = http.request(options, cb);
+    var request_opts = _.pick(opts, ['timeout', 'signal', 'retry']);
 
-        request.on('error', function(err) {
-            callback(err, null);
-        });
+    var checks = _.map(_.uniq(check_ids), function(target_id) {
+        return client.get_node(target_id, request_opts);
+    });
 
-        if (_.isObject(query)) {
-            request.write(JSON.stringify(query));
-        } else {
-            request.write(query);
-        }
+    var result = Promise.all(checks).then(function() {
+        return client.update_node(node_id, function(node) {
+            var linkage = node['linkage'] || {};
+            var targets = change(linkage[relation] || []);
 
-        request.end();
-    } else {
-        return new Promise(function(resolve, reject) {
-            var cb = make_promise_cb(resolve, reject);
+            if (targets.length > 0) {
+                linkage[relation] = targets;
+            } else {
+                delete linkage[relation];
+            }
 
-            var request = http.request(options, cb);
+            node['linkage'] = linkage;
+        }, opts);
+    });
 
-            request.on('error', function(err) {
-                reject(err);
+    return callback_or_promise(result, callback);
+}
+
+/**
+ * A private helper function that lists the linkage edges from one node to
+ * another, one for each relation through which the source links to the
+ * target.
+ * @param {Object} source - The node document the links start from.
+ * @param {Object} target - The node document the links point to.
+ * @returns {Object[]} The edges, as objects with source, target and relation.
+ */
+function link_edges(source, target) {
+    var edges = [];
+
+    _.forEach(source['linkage'], function(target_ids, relation) {
+        if (_.includes(target_ids, target['id'])) {
+            edges.push({
+                source: source['id'],
+                target: target['id'],
+                relation: relation
             });
+        }
+    });
 
-            // This should handle correct writing of the query regardless of
-            // whether it was in ES format, or an OQL string.
-            if (_.isObject(query)) {
-                request.write(JSON.stringify(query));
-            } else {
-                request.write(query);
-            }
+    return edges;
+}
 
-            request.end();
-        });
-    }
+/**
+ * A private helper function used by the public OQL and ES query functions.
+ * @param {OSDFClient} client - The client to issue the request with.
+ * @param {Object} options - An options object used by the http module.
+ * @param {Object|string} query - An ES (JSON) or OQL (string) query.
+ * @param {Object} [opts] - Per-call options, such as timeout and signal.
+ * @param {Function} [callback] - A callback which is called when the query
+ * has completed. Invoked with (err, results).
+ * @returns {Promise} A promise, if a callback is omitted.
+ */
+function query_helper(client, options, query, opts, callback) {
+    // This handles correct writing of the query regardless of whether it was
+    // in ES format, or an OQL string.
+    return request_helper(client, options, query,
+        parse_json_handler(options), opts, callback);
 }
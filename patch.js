@@ -0,0 +1,239 @@
+var _ = require('lodash');
+
+var diff = require('./diff');
+var errors = require('./errors');
+
+/**
+ * Client-side implementations of the two standard ways of describing a
+ * partial change to a JSON document: JSON Patch (RFC 6902), a list of
+ * operations addressing parts of the document with JSON Pointers (RFC 6901),
+ * and JSON Merge Patch (RFC 7396), a partial document whose members replace
+ * those of the target, with nulls removing them.
+ *
+ * Neither function modifies the document it is given. Both return a new,
+ * patched, copy.
+ */
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a document.
+ * @param {Object} doc - The document to patch.
+ * @param {Object[]} operations - The patch operations, such as
+ * {op: 'replace', path: '/meta/name', value: 'new name'}.
+ * @returns {Object} The patched copy of the document.
+ * @throws {PatchError} If an operation is malformed, addresses a location
+ * that does not exist, or a test operation fails.
+ */
+function apply_json_patch(doc, operations) {
+    if (! _.isArray(operations)) {
+        throw new errors.PatchError('A JSON Patch must be an array.');
+    }
+
+    var result = _.cloneDeep(doc);
+
+    _.forEach(operations, function(operation, index) {
+        var op = operation['op'];
+        var path = parse_pointer(operation['path'], index);
+
+        switch (op) {
+            case 'add':
+                require_value(operation, index);
+                result = add(result, path, _.cloneDeep(operation['value']),
+                    index);
+                break;
+            case 'remove':
+                result = remove(result, path, index);
+                break;
+            case 'replace':
+                require_value(operation, index);
+                result = remove(result, path, index);
+                result = add(result, path, _.cloneDeep(operation['value']),
+                    index);
+                break;
+            case 'move':
+                var from = parse_pointer(operation['from'], index);
+
+                if (is_prefix(from, path) && from.length < path.length) {
+                    throw patch_error(index,
+                        'cannot move a value into one of its children');
+                }
+
+                var moved = get(result, from, index);
+                result = remove(result, from, index);
+                result = add(result, path, moved, index);
+                break;
+            case 'copy':
+                var copied = get(result, parse_pointer(operation['from'],
+                    index), index);
+                result = add(result, path, _.cloneDeep(copied), index);
+                break;
+            case 'test':
+                require_value(operation, index);
+
+                if (! _.isEqual(get(result, path, index),
+                    operation['value'])) {
+                    throw patch_error(index, 'test failed for ' +
+                        operation['path']);
+                }
+                break;
+            default:
+                throw patch_error(index, 'unknown operation "' + op + '"');
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396) to a document.
+ * @param {Object} doc - The document to patch.
+ * @param {Object} patch - The merge patch.
+ * @returns {Object} The patched copy of the document.
+ */
+function apply_merge_patch(doc, patch) {
+    if (! _.isPlainObject(patch)) {
+        return _.cloneDeep(patch);
+    }
+
+    var result = _.isPlainObject(doc) ? _.cloneDeep(doc) : {};
+
+    _.forEach(patch, function(value, key) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = apply_merge_patch(result[key], value);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Compares two versions of a document and lists where they differ, as JSON
+ * Pointers to the most specific locations that were added, removed or
+ * changed.
+ * @param {*} before - The original document.
+ * @param {*} after - The changed document.
+ * @returns {string[]} The JSON Pointers of the changed locations.
+ */
+function changed_paths(before, after) {
+    return _.map(diff.diff(before, after), 'path');
+}
+
+/**
+ * Converts an array of keys into a JSON Pointer.
+ * @param {string[]} tokens - The keys leading to a location in a document.
+ * @returns {string} The JSON Pointer.
+ */
+function to_pointer(tokens) {
+    return _.map(tokens, function(token) {
+        return '/' + escape_token(String(token));
+    }).join('');
+}
+
+function parse_pointer(pointer, index) {
+    if (! _.isString(pointer)) {
+        throw patch_error(index, 'missing or invalid path');
+    }
+
+    if (pointer === '') {
+        return [];
+    }
+
+    if (pointer.charAt(0) !== '/') {
+        throw patch_error(index, 'invalid JSON Pointer "' + pointer + '"');
+    }
+
+    return _.map(pointer.substring(1).split('/'), function(token) {
+        return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+}
+
+function escape_token(token) {
+    return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function is_prefix(prefix, tokens) {
+    return _.isEqual(prefix, tokens.slice(0, prefix.length));
+}
+
+function require_value(operation, index) {
+    if (! _.has(operation, 'value')) {
+        throw patch_error(index, 'missing value');
+    }
+}
+
+function get(doc, tokens, index) {
+    var target = doc;
+
+    _.forEach(tokens, function(token) {
+        if (_.isArray(target) && /^(0|[1-9][0-9]*)$/.test(token) &&
+                Number(token) < target.length) {
+            target = target[Number(token)];
+        } else if (_.isPlainObject(target) && _.has(target, token)) {
+            target = target[token];
+        } else {
+            throw patch_error(index, 'path ' + to_pointer(tokens) +
+                ' does not exist');
+        }
+    });
+
+    return target;
+}
+
+function add(doc, tokens, value, index) {
+    if (tokens.length === 0) {
+        return value;
+    }
+
+    var parent = get(doc, _.initial(tokens), index);
+    var key = _.last(tokens);
+
+    if (_.isArray(parent)) {
+        if (key === '-') {
+            parent.push(value);
+        } else if (/^(0|[1-9][0-9]*)$/.test(key) &&
+                Number(key) <= parent.length) {
+            parent.splice(Number(key), 0, value);
+        } else {
+            throw patch_error(index, 'invalid array index "' + key + '"');
+        }
+    } else if (_.isPlainObject(parent)) {
+        parent[key] = value;
+    } else {
+        throw patch_error(index, 'cannot add to ' +
+            to_pointer(_.initial(tokens)));
+    }
+
+    return doc;
+}
+
+function remove(doc, tokens, index) {
+    // Make sure the location exists before removing it.
+    get(doc, tokens, index);
+
+    if (tokens.length === 0) {
+        return undefined;
+    }
+
+    var parent = get(doc, _.initial(tokens), index);
+    var key = _.last(tokens);
+
+    if (_.isArray(parent)) {
+        parent.splice(Number(key), 1);
+    } else {
+        delete parent[key];
+    }
+
+    return doc;
+}
+
+function patch_error(index, message) {
+    return new errors.PatchError('Patch operation ' + index + ': ' +
+        message + '.');
+}
+
+module.exports = {
+    apply_json_patch: apply_json_patch,
+    apply_merge_patch: apply_merge_patch,
+    changed_paths: changed_paths
+};
@@ -0,0 +1,87 @@
+#!/usr/bin/env mocha
+
+var stream = require('stream');
+var archive = require('./archive');
+var errors = require('./errors');
+var assert = require('chai').assert;
+
+describe('Archives', function() {
+    var records = [
+        { type: 'namespace', name: 'test', info: { title: 'Test' } },
+        { type: 'aux_schema', name: 'contact', schema: { type: 'object' } },
+        { type: 'schema', name: 'sample', schema: { type: 'object' } },
+        { type: 'node', node: { id: 'a', node_type: 'sample' } },
+        { type: 'node', node: { id: 'b', node_type: 'sample' } }
+    ];
+
+    it('create_writer', function() {
+        var out = new stream.PassThrough();
+        var chunks = [];
+
+        out.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+
+        var writer = archive.create_writer(out);
+
+        var written = records.reduce(function(previous, record) {
+            return previous.then(function() {
+                return writer.write(record);
+            });
+        }, Promise.resolve());
+
+        return written.then(function() {
+            return writer.end();
+        }).then(function() {
+            var lines = Buffer.concat(chunks).toString().split('\n');
+
+            assert.strictEqual(lines.length, records.length + 1);
+            assert.deepEqual(JSON.parse(lines[3]), records[3]);
+            assert.strictEqual(lines[records.length], '');
+        });
+    });
+
+    it('read_archive', function(done) {
+        var text = records.map(function(record) {
+            return JSON.stringify(record);
+        }).join('\n') + '\n';
+
+        archive.read_archive(stream.Readable.from([ text ]),
+            function(err, contents) {
+                assert.isNull(err);
+                assert.strictEqual(contents.namespace, 'test');
+                assert.deepEqual(contents.info, { title: 'Test' });
+                assert.hasAllKeys(contents.schemas, [ 'sample' ]);
+                assert.hasAllKeys(contents.aux_schemas, [ 'contact' ]);
+                assert.deepEqual(contents.nodes, [
+                    { id: 'a', node_type: 'sample' },
+                    { id: 'b', node_type: 'sample' }
+                ]);
+
+                done();
+            });
+    });
+
+    it('read_archive (bad line)', function(done) {
+        var text = JSON.stringify(records[0]) + '\n{"type": "node"\n';
+
+        archive.read_archive(stream.Readable.from([ text ]), function(err) {
+            assert.instanceOf(err, errors.ParseError);
+            assert.include(err.message, 'line 2');
+
+            done();
+        });
+    });
+
+    it('read_archive (not a record)', function(done) {
+        var text = JSON.stringify(records[0]) + '\nnull\n';
+
+        archive.read_archive(stream.Readable.from([ text ]), function(err) {
+            assert.instanceOf(err, errors.ParseError);
+            assert.include(err.message, 'Line 2 of the archive is not a ' +
+                'record');
+
+            done();
+        });
+    });
+});
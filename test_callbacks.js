@@ -161,13 +161,14 @@ describe('Nodes', function() {
 
     it('validate_node', function() {
         return new Promise(function(resolve, reject) {
-            osdf.validate_node(test_node, function(err, error_text) {
+            osdf.validate_node(test_node, function(err, result) {
                 if (err) {
                     assert.fail(err);
                     reject(err);
                 } else {
-                    assert.isString(error_text);
-                    assert.isEmpty(error_text);
+                    assert.isTrue(result['valid']);
+                    assert.isString(result['text']);
+                    assert.isEmpty(result['text']);
 
                     resolve();
                 }
@@ -179,11 +180,14 @@ describe('Nodes', function() {
         var bad_node = {};
 
         return new Promise(function(resolve, reject) {
-            osdf.validate_node(bad_node, function(err, error_text) {
+            osdf.validate_node(bad_node, function(err, result) {
                 if (err) {
                     assert.fail(err);
                     reject(err);
                 } else {
+                    var error_text = result['text'];
+
+                    assert.isFalse(result['valid']);
                     assert.isString(error_text);
                     assert.isNotEmpty(error_text);
                     assert.match(error_text, /acl/, 'Error mentions acl.');
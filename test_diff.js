@@ -0,0 +1,151 @@
+#!/usr/bin/env mocha
+
+var diff = require('./diff');
+var assert = require('chai').assert;
+
+describe('Diff', function() {
+    var before = {
+        meta: { name: 'sample', old: true },
+        linkage: { part_of: [ 'a' ] },
+        acl: { read: [ 'all' ], write: [ 'all' ] },
+        ver: 1
+    };
+
+    var after = {
+        meta: { name: 'renamed', tags: [ 'x' ] },
+        linkage: { part_of: [ 'a', 'b' ] },
+        acl: { read: [ 'all' ], write: [ 'all' ] },
+        ver: 2
+    };
+
+    it('diff_fields', function() {
+        var changes = diff.diff_fields(before, after, [ 'meta', 'linkage' ]);
+
+        assert.deepEqual(changes, [
+            {
+                path: '/meta/name', kind: 'changed',
+                before: 'sample', after: 'renamed'
+            },
+            { path: '/meta/old', kind: 'removed', before: true },
+            { path: '/meta/tags', kind: 'added', after: [ 'x' ] },
+            { path: '/linkage/part_of/1', kind: 'added', after: 'b' }
+        ]);
+    });
+
+    it('render', function() {
+        var text = diff.render(diff.diff(before, after), 'Title');
+
+        assert.include(text, 'Title\n');
+        assert.include(text, '  ~ /meta/name: "sample" -> "renamed"\n');
+        assert.include(text, '  - /meta/old: true\n');
+        assert.include(text, '  + /linkage/part_of/1: "b"\n');
+        assert.include(text, '  ~ /ver: 1 -> 2\n');
+    });
+
+    it('render (no differences)', function() {
+        assert.include(diff.render(diff.diff(before, before)),
+            'no differences');
+    });
+
+    describe('Namespaces', function() {
+        var acl = { read: [ 'all' ], write: [ 'all' ] };
+
+        var before = {
+            schemas: { sample: { type: 'object' }, old: {} },
+            aux_schemas: { contact: {} },
+            nodes: [
+                {
+                    id: 'a1', node_type: 'sample', acl: acl,
+                    linkage: { part_of: [ 'a2' ] }, meta: { name: 's1' }
+                },
+                {
+                    id: 'a2', node_type: 'subject', acl: acl, linkage: {},
+                    meta: { name: 'p1', age: 30 }
+                },
+                {
+                    id: 'a3', node_type: 'sample', acl: acl, linkage: {},
+                    meta: { name: 's2' }
+                }
+            ]
+        };
+
+        var after = {
+            schemas: { sample: { type: 'object', required: [ 'meta' ] } },
+            aux_schemas: { contact: {} },
+            nodes: [
+                {
+                    id: 'b1', node_type: 'sample', acl: acl,
+                    linkage: { part_of: [ 'b2' ] }, meta: { name: 's1' }
+                },
+                {
+                    id: 'b2', node_type: 'subject', acl: acl, linkage: {},
+                    meta: { name: 'p1', age: 31 }
+                }
+            ]
+        };
+
+        it('diff_namespaces (by ID)', function() {
+            var result = diff.diff_namespaces(before, after);
+
+            assert.deepEqual(result.schemas.removed, [ 'old' ]);
+            assert.deepEqual(result.schemas.changed, [{
+                name: 'sample',
+                changes: [
+                    { path: '/required', kind: 'added', after: [ 'meta' ] }
+                ]
+            }]);
+            assert.deepEqual(result.aux_schemas,
+                { added: [], removed: [], changed: [] });
+            assert.deepEqual(result.nodes.added.map(function(item) {
+                return item.id;
+            }), [ 'b1', 'b2' ]);
+            assert.lengthOf(result.nodes.removed, 3);
+            assert.lengthOf(result.nodes.changed, 0);
+        });
+
+        it('diff_namespaces (by natural key)', function() {
+            var result = diff.diff_namespaces(before, after, { key: 'name' });
+
+            assert.deepEqual(result.nodes.added, []);
+            assert.deepEqual(result.nodes.removed, [
+                { key: 's2', node_type: 'sample', id: 'a3' }
+            ]);
+            assert.deepEqual(result.nodes.changed, [{
+                key: 'p1', node_type: 'subject', from_id: 'a2', to_id: 'b2',
+                changes: [
+                    {
+                        path: '/meta/age', kind: 'changed',
+                        before: 30, after: 31
+                    }
+                ]
+            }]);
+        });
+
+        it('diff_namespaces (duplicate natural key)', function() {
+            var duplicated = {
+                nodes: before.nodes.concat([{
+                    id: 'a4', node_type: 'sample', meta: { name: 's1' }
+                }])
+            };
+
+            assert.throws(function() {
+                diff.diff_namespaces(duplicated, after, { key: 'name' });
+            }, /a1 and a4/);
+        });
+
+        it('render_namespaces', function() {
+            var text = diff.render_namespaces(diff.diff_namespaces(before,
+                after, { key: 'name' }), 'Title');
+
+            assert.include(text, 'Title\n');
+            assert.include(text, '  - schema old\n');
+            assert.include(text, '  ~ schema sample\n' +
+                '    + /required: ["meta"]\n');
+            assert.include(text, '  - node sample "s2" (a3)\n');
+            assert.include(text, '  ~ node subject "p1" (a2 -> b2)\n' +
+                '    ~ /meta/age: 30 -> 31\n');
+            assert.include(diff.render_namespaces(diff.diff_namespaces(after,
+                after)), 'no differences');
+        });
+    });
+});
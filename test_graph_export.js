@@ -0,0 +1,60 @@
+#!/usr/bin/env mocha
+
+var graph_export = require('./graph_export');
+var assert = require('chai').assert;
+
+describe('Graph export', function() {
+    var graph = {
+        nodes: [
+            {
+                id: 'sample1', node_type: 'sample', linkage: {},
+                meta: { name: 'Sample "1"' }
+            },
+            {
+                id: 'subject1', node_type: 'subject', linkage: {},
+                meta: { rand_subject_id: 'S<1>' }
+            }
+        ],
+        edges: [
+            {
+                source: 'sample1', target: 'subject1',
+                relation: 'extracted_from'
+            }
+        ]
+    };
+
+    it('to_graphml', function() {
+        var graphml = graph_export.to_graphml(graph);
+
+        assert.include(graphml, '<node id="sample1">');
+        assert.include(graphml,
+            '<data key="label">Sample &quot;1&quot;</data>');
+        assert.include(graphml, '<edge id="e0" source="sample1" ' +
+            'target="subject1">');
+        assert.include(graphml,
+            '<data key="relation">extracted_from</data>');
+    });
+
+    it('to_dot', function() {
+        var dot = graph_export.to_dot(graph, {
+            label_fields: [ 'rand_subject_id', 'name' ]
+        });
+
+        assert.include(dot, '"sample1" [label="Sample \\"1\\""];');
+        assert.include(dot, '"subject1" [label="S<1>"];');
+        assert.include(dot,
+            '"sample1" -> "subject1" [label="extracted_from"];');
+    });
+
+    it('to_jsonld', function() {
+        var jsonld = graph_export.to_jsonld(graph, {base: 'http://osdf/'});
+
+        assert.deepEqual(jsonld['@graph'][0], {
+            '@id': 'http://osdf/sample1',
+            '@type': 'sample',
+            'label': 'Sample "1"',
+            'extracted_from': [ {'@id': 'http://osdf/subject1'} ]
+        });
+        assert.strictEqual(jsonld['@graph'][1]['label'], 'subject1');
+    });
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env mocha
+
+var patch = require('./patch');
+var errors = require('./errors');
+var assert = require('chai').assert;
+
+describe('JSON Patch', function() {
+    var doc = {
+        meta: { name: 'sample', tags: [ 'a', 'b' ] },
+        linkage: {}
+    };
+
+    it('apply_json_patch', function() {
+        var patched = patch.apply_json_patch(doc, [
+            { op: 'replace', path: '/meta/name', value: 'renamed' },
+            { op: 'add', path: '/meta/tags/-', value: 'c' },
+            { op: 'remove', path: '/meta/tags/0' },
+            { op: 'copy', from: '/meta/name', path: '/meta/alias' },
+            { op: 'move', from: '/meta/alias', path: '/meta/title' },
+            { op: 'test', path: '/meta/title', value: 'renamed' }
+        ]);
+
+        assert.deepEqual(patched, {
+            meta: { name: 'renamed', tags: [ 'b', 'c' ], title: 'renamed' },
+            linkage: {}
+        });
+
+        // The original document is left untouched.
+        assert.strictEqual(doc['meta']['name'], 'sample');
+        assert.lengthOf(doc['meta']['tags'], 2);
+    });
+
+    it('apply_json_patch (failed test)', function() {
+        assert.throws(function() {
+            patch.apply_json_patch(doc, [
+                { op: 'test', path: '/meta/name', value: 'other' }
+            ]);
+        }, errors.PatchError, /test failed/);
+    });
+
+    it('apply_json_patch (missing path)', function() {
+        assert.throws(function() {
+            patch.apply_json_patch(doc, [
+                { op: 'remove', path: '/meta/missing' }
+            ]);
+        }, errors.PatchError, /does not exist/);
+    });
+
+    it('apply_json_patch (escaped pointer)', function() {
+        var patched = patch.apply_json_patch({}, [
+            { op: 'add', path: '/a~1b~0c', value: 1 }
+        ]);
+
+        assert.deepEqual(patched, { 'a/b~c': 1 });
+    });
+});
+
+describe('JSON Merge Patch', function() {
+    it('apply_merge_patch', function() {
+        var doc = { meta: { name: 'sample', old: true, nested: { x: 1 } } };
+
+        var patched = patch.apply_merge_patch(doc, {
+            meta: { old: null, nested: { y: 2 }, tags: [ 'a' ] }
+        });
+
+        assert.deepEqual(patched, {
+            meta: { name: 'sample', nested: { x: 1, y: 2 }, tags: [ 'a' ] }
+        });
+    });
+
+    it('changed_paths', function() {
+        var before = { meta: { a: 1, b: [ 1, 2 ] }, acl: {} };
+        var after = { meta: { b: [ 1, 3 ], c: 'new' }, acl: {} };
+
+        assert.sameMembers(patch.changed_paths(before, after),
+            [ '/meta/a', '/meta/b/1', '/meta/c' ]);
+        assert.isEmpty(patch.changed_paths(before, before));
+    });
+});
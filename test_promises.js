@@ -1,11 +1,90 @@
 #!/usr/bin/env mocha
 
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var osdf = require('./osdf');
 var _ = require('lodash');
 var assert = require('chai').assert;
 
 osdf.setup({auth: 'test:test'});
 
+/**
+ * Makes a node document for the tests, in the test namespace and of a
+ * node_type without a schema, with the given properties overriding the
+ * defaults.
+ */
+function make_node(overrides) {
+    return _.assign({
+        ns: 'test',
+        acl: { 'read': [ 'all' ], 'write': [ 'all' ] },
+        linkage: {},
+        node_type: 'unregistered',
+        meta: {}
+    }, overrides);
+}
+
+/**
+ * Starts a server holding the given node documents, which serves their
+ * inbound and outbound links two to a page, and deletes them on request.
+ * Nodes with unlisted_links claim that many more links than are served.
+ * Invokes done with (client), a client for the server, and returns the
+ * server, to be closed once done with.
+ */
+function paged_links_server(nodes, done) {
+    var page_size = 2;
+
+    var server = require('http').createServer(function(req, res) {
+        var match = req.url.match(/^\/nodes\/([^/]+)(?:\/(in|out))?/);
+        var links = req.url.match(/\/(?:in|out)\/page\/(\d+)$/);
+        var node = match ? nodes[match[1]] : undefined;
+
+        if (! node) {
+            res.statusCode = 404;
+            res.end();
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            delete nodes[node['id']];
+            res.statusCode = 204;
+            res.end();
+            return;
+        }
+
+        if (! match[2]) {
+            res.end(JSON.stringify(node));
+            return;
+        }
+
+        var linked = _.filter(nodes, function(other) {
+            var from = match[2] === 'out' ? node : other;
+            var to = match[2] === 'out' ? other : node;
+
+            return _.some(from['linkage'], function(targets) {
+                return _.includes(targets, to['id']);
+            });
+        });
+
+        var page = links ? Number(links[1]) : 1;
+
+        res.end(JSON.stringify({
+            page: page,
+            result_count: linked.length + (node['unlisted_links'] || 0),
+            results: linked.slice((page - 1) * page_size, page * page_size)
+        }));
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        done(new osdf.OSDFClient({
+            host: '127.0.0.1',
+            port: server.address().port
+        }));
+    });
+
+    return server;
+}
+
 describe('Info', function() {
     const keys = [
         'api_version', 'title', 'description', 'admin_contact_email1',
@@ -37,16 +116,256 @@ describe('Info', function() {
     });
 });
 
+describe('Clients', function() {
+    it('independent clients', function() {
+        var staging = new osdf.OSDFClient({host: 'staging', port: 8124});
+        var production = new osdf.OSDFClient({
+            host: 'production', port: '443', ssl: true
+        });
+
+        assert.instanceOf(osdf, osdf.OSDFClient);
+
+        assert.strictEqual(staging.host, 'staging');
+        assert.strictEqual(staging.port, 8124);
+        assert.strictEqual(staging.transport, require('http'));
+
+        assert.strictEqual(production.host, 'production');
+        assert.strictEqual(production.port, 443);
+        assert.strictEqual(production.transport, require('https'));
+
+        // Reconfiguring one client must not rewire any other client.
+        staging.setup({ssl: true});
+
+        assert.strictEqual(staging.transport, require('https'));
+        assert.strictEqual(osdf.transport, require('http'));
+        assert.strictEqual(osdf.auth, 'test:test');
+    });
+});
+
+describe('Errors', function() {
+    it('network error', async function() {
+        var unreachable = new osdf.OSDFClient({host: '127.0.0.1', port: 1});
+        var err = null;
+
+        try {
+            await unreachable.info();
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.NetworkError);
+        assert.instanceOf(err, osdf.OSDFError);
+        assert.instanceOf(err, Error);
+        assert.strictEqual(err.method, 'GET');
+        assert.strictEqual(err.path, '/info');
+        assert.isString(err.stack);
+    });
+
+    it('get_node (missing node)', async function() {
+        var err = null;
+
+        try {
+            await osdf.get_node('does_not_exist');
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.NotFoundError);
+        assert.strictEqual(err.status_code, 404);
+        assert.strictEqual(err.method, 'GET');
+        assert.strictEqual(err.path, '/nodes/does_not_exist');
+    });
+
+    it('edit_node (version conflict)', async function() {
+        var node_id = null;
+        var err = null;
+
+        var node = make_node({ ver: 99 });
+
+        try {
+            node_id = await osdf.insert_node(_.omit(node, 'ver'));
+            await osdf.edit_node(node_id, node);
+        } catch (exception) {
+            err = exception;
+        } finally {
+            if (node_id) {
+                await osdf.delete_node(node_id);
+            }
+        }
+
+        assert.instanceOf(err, osdf.ConflictError);
+        assert.strictEqual(err.method, 'PUT');
+    });
+});
+
+describe('Timeouts', function() {
+    // A server that accepts requests, but never answers them.
+    var hung_server = require('http').createServer(function() {});
+    var hung = null;
+
+    before(function(done) {
+        hung_server.listen(0, '127.0.0.1', function() {
+            hung = new osdf.OSDFClient({
+                host: '127.0.0.1',
+                port: hung_server.address().port,
+                timeout: 5000
+            });
+
+            done();
+        });
+    });
+
+    after(function(done) {
+        hung_server.closeAllConnections();
+        hung_server.close(done);
+    });
+
+    it('timeout', async function() {
+        var err = null;
+
+        try {
+            await hung.get_node('any', {timeout: 50});
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.TimeoutError);
+        assert.strictEqual(err.path, '/nodes/any');
+    });
+
+    it('signal', async function() {
+        var controller = new AbortController();
+        var err = null;
+
+        setTimeout(function() {
+            controller.abort();
+        }, 50);
+
+        try {
+            await hung.query_all({}, 'test', {signal: controller.signal});
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.AbortError);
+    });
+});
+
+describe('Retries', function() {
+    // A server that fails with a 503 for all but every third request.
+    var requests = 0;
+    var flaky_server = require('http').createServer(function(req, res) {
+        requests++;
+
+        if (requests % 3 !== 0) {
+            res.statusCode = 503;
+            res.end();
+        } else if (req.method === 'POST') {
+            res.statusCode = 201;
+            res.setHeader('Location', '/nodes/new_node_id');
+            res.end();
+        } else {
+            res.end(JSON.stringify({id: 'node_id'}));
+        }
+    });
+    var flaky = null;
+    var retries = [];
+
+    before(function(done) {
+        flaky_server.listen(0, '127.0.0.1', function() {
+            flaky = new osdf.OSDFClient({
+                host: '127.0.0.1',
+                port: flaky_server.address().port,
+                retry: {
+                    base_delay: 10,
+                    on_retry: function(err, attempt, delay) {
+                        retries.push(attempt);
+                    }
+                }
+            });
+
+            done();
+        });
+    });
+
+    beforeEach(function() {
+        requests = 0;
+        retries = [];
+    });
+
+    after(function(done) {
+        flaky_server.close(done);
+    });
+
+    it('get_node (retried)', async function() {
+        var node = await flaky.get_node('node_id');
+
+        assert.deepEqual(node, {id: 'node_id'});
+        assert.strictEqual(requests, 3);
+        assert.deepEqual(retries, [1, 2]);
+    });
+
+    it('insert_node (not retried)', async function() {
+        var err = null;
+
+        try {
+            await flaky.insert_node({});
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.OSDFError);
+        assert.strictEqual(err.status_code, 503);
+        assert.strictEqual(requests, 1);
+    });
+
+    it('insert_node (opted in)', async function() {
+        var node_id = await flaky.insert_node({}, {retry: true});
+
+        assert.strictEqual(node_id, 'new_node_id');
+        assert.strictEqual(requests, 3);
+    });
+
+    it('insert_node (opted in, retries disabled)', async function() {
+        var disabled = new osdf.OSDFClient({
+            host: '127.0.0.1',
+            port: flaky_server.address().port,
+            retry: false
+        });
+
+        disabled.setup({retry: {base_delay: 10}});
+
+        var node_id = await disabled.insert_node({}, {retry: true});
+
+        assert.strictEqual(node_id, 'new_node_id');
+        assert.strictEqual(requests, 3);
+    });
+
+    it('get_node (failing on_retry)', async function() {
+        var hook_err = new Error('Hook failed.');
+        var err = null;
+
+        try {
+            await flaky.get_node('node_id', {
+                retry: {
+                    on_retry: function() {
+                        throw hook_err;
+                    }
+                }
+            });
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.strictEqual(err, hook_err);
+        assert.strictEqual(requests, 1);
+    });
+});
+
 describe('Nodes', function() {
     var test_node_id = null;
 
-    var test_node = {
-        ns: 'test',
-        acl: { 'read': [ 'all' ], 'write': [ 'all' ] },
-        linkage: {},
-        node_type: 'unregistered',
-        meta: {}
-    };
+    var test_node = make_node();
 
     it('insert_node', async function() {
         var err = null;
@@ -58,221 +377,942 @@ describe('Nodes', function() {
             err = exception;
         }
 
-        return new Promise(function(resolve, reject) {
-            if (err) {
-                assert.fail();
-                reject(err);
-            } else {
-                assert.isNotNull(node_id);
-                assert.isString(node_id);
+        return new Promise(function(resolve, reject) {
+            if (err) {
+                assert.fail();
+                reject(err);
+            } else {
+                assert.isNotNull(node_id);
+                assert.isString(node_id);
+
+                test_node_id = node_id;
+
+                resolve();
+            }
+        });
+    });
+
+    it('get_node', async function() {
+        var node = null;
+        var err = null;
+        var required_keys = [
+            'acl', 'hash', 'id', 'linkage', 'node_type', 'ns', 'ver', 'meta'
+        ];
+
+        try {
+            node = await osdf.get_node(test_node_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return new Promise(function(resolve, reject) {
+            if (err) {
+                assert.fail();
+                reject(err);
+            } else {
+                assert.isNotNull(node);
+                assert.hasAllKeys(node, required_keys);
+
+                resolve();
+            }
+        });
+    });
+
+    it('edit_node', async function() {
+        var err = null;
+
+        var updated = _.clone(test_node);
+        updated['meta']['updated'] = true;
+        updated['ver'] = 1;
+
+        try {
+            await osdf.edit_node(test_node_id, updated);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+             assert.isNull(err);
+        }, err);
+    });
+
+    it('get_node_by_version', async function() {
+        var node = null;
+        var err = null;
+        var version = 1;
+
+        try {
+            node = await osdf.get_node_by_version(test_node_id, version);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+             assert.isNotNull(node);
+             assert.isNumber(node['ver']);
+             assert.strictEqual(version, node['ver']);
+        }, err);
+    });
+
+    it('update_node', async function() {
+        var node = null;
+        var err = null;
+
+        try {
+            node = await osdf.update_node(test_node_id, function(node) {
+                node['meta']['counter'] = 1;
+            });
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNotNull(node);
+            assert.strictEqual(node['id'], test_node_id);
+            assert.strictEqual(node['ver'], 3);
+            assert.strictEqual(node['meta']['counter'], 1);
+        }, err);
+    });
+
+    it('update_node (unchanged)', async function() {
+        var calls = 0;
+
+        var node = await osdf.update_node(test_node_id, function(node) {
+            calls++;
+            node['meta']['counter'] = 1;
+        });
+
+        // The mutator changed nothing, so no new version is saved.
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(node['ver'], 3);
+        assert.strictEqual((await osdf.get_node(test_node_id))['ver'], 3);
+    });
+
+    it('patch_node', async function() {
+        var result = null;
+        var err = null;
+
+        try {
+            result = await osdf.patch_node(test_node_id, [
+                { op: 'replace', path: '/meta/counter', value: 2 }
+            ]);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNotNull(result);
+            assert.deepEqual(result['changed'], [ '/meta/counter' ]);
+            assert.strictEqual(result['node']['meta']['counter'], 2);
+        }, err);
+    });
+
+    it('get_node_history', async function() {
+        var history = null;
+        var err = null;
+
+        try {
+            history = await osdf.get_node_history(test_node_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isArray(history);
+            assert.deepEqual(_.map(history, 'ver'), [ 1, 2, 3, 4 ]);
+        }, err);
+    });
+
+    it('diff_node_versions', async function() {
+        var result = null;
+        var err = null;
+
+        try {
+            result = await osdf.diff_node_versions(test_node_id, 3, 4);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.deepEqual(result['changes'], [{
+                path: '/meta/counter', kind: 'changed', before: 1, after: 2
+            }]);
+            assert.isString(result['text']);
+        }, err);
+    });
+
+    it('revert_node', async function() {
+        var version = null;
+        var node = null;
+        var err = null;
+
+        try {
+            version = await osdf.revert_node(test_node_id, 3,
+                { keep: [ 'acl' ] });
+            node = await osdf.get_node(test_node_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.strictEqual(version, 5);
+            assert.strictEqual(node['ver'], 5);
+            assert.strictEqual(node['meta']['counter'], 1);
+        }, err);
+    });
+
+    it('get_node_in_links', async function() {
+        var err = null;
+        var links = null;
+
+        try {
+            links = await osdf.get_node_in_links(test_node_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNotNull(links);
+            assert.hasAllKeys(links, ['page', 'results', 'result_count']);
+            assert.isArray(links['results']);
+            assert.isNumber(links['page']);
+            assert.isNumber(links['result_count']);
+        }, err);
+    });
+
+    it('get_node_out_links', async function() {
+        var err = null;
+        var links = null;
+
+        try {
+            links = await osdf.get_node_out_links(test_node_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNotNull(links);
+            assert.hasAllKeys(links, ['page', 'results', 'result_count']);
+            assert.isArray(links['results']);
+            assert.isNumber(links['page']);
+            assert.isNumber(links['result_count']);
+        }, err);
+    });
+
+    it('delete_node', async function() {
+        var err = null;
+
+        try {
+            await osdf.delete_node(test_node_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNull(err);
+        }, err);
+    });
+
+    it('validate_node', async function() {
+        var result = null;
+        var err = null;
+
+        try {
+            result = await osdf.validate_node(test_node);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isTrue(result['valid']);
+            assert.isEmpty(result['errors']);
+            assert.isString(result['text']);
+            assert.isEmpty(result['text']);
+        }, err);
+    });
+
+    it('validate_node (bad node)', async function() {
+        var bad_node = {};
+        var result = null;
+        var err = null;
+
+        try {
+            result = await osdf.validate_node(bad_node);
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            var error_text = result['text'];
+
+            assert.isFalse(result['valid']);
+            assert.isNotEmpty(result['errors']);
+            assert.isString(error_text);
+            assert.isNotEmpty(error_text);
+            assert.match(error_text, /acl/, 'Error mentions acl.');
+            assert.match(error_text, /meta/, 'Error mentions meta.');
+            assert.match(error_text, /node_type/, 'Error mentions node_type.');
+            assert.match(error_text, /ns/, 'Error mentions ns.');
+            assert.match(error_text, /linkage/, 'Error mentions linkage.');
+        }, err);
+    });
+
+    it('validate_node (strict)', async function() {
+        var err = null;
+
+        try {
+            await osdf.validate_node({}, {strict: true});
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.ValidationFailedError);
+        assert.isNotEmpty(err.errors);
+    });
+});
+
+describe('Traversal', function() {
+    var parent_id = null;
+    var child_id = null;
+
+    before(async function() {
+        parent_id = await osdf.insert_node(make_node());
+        child_id = await osdf.insert_node(
+            make_node({ linkage: { part_of: [ parent_id ] } }));
+    });
+
+    after(async function() {
+        await osdf.delete_node(child_id);
+        await osdf.delete_node(parent_id);
+    });
+
+    it('traverse (out)', async function() {
+        var graph = await osdf.traverse(child_id);
+
+        assert.sameMembers(_.map(graph['nodes'], 'id'),
+            [ child_id, parent_id ]);
+        assert.deepEqual(graph['edges'], [
+            { source: child_id, target: parent_id, relation: 'part_of' }
+        ]);
+    });
+
+    it('traverse (in)', async function() {
+        var graph = await osdf.traverse(parent_id, {direction: 'in'});
+
+        assert.sameMembers(_.map(graph['nodes'], 'id'),
+            [ child_id, parent_id ]);
+        assert.lengthOf(graph['edges'], 1);
+    });
+
+    it('export_graph', async function() {
+        var dot = await osdf.export_graph([ child_id, parent_id ], 'dot');
+
+        assert.include(dot, '"' + child_id + '" -> "' + parent_id +
+            '" [label="part_of"];');
+    });
+
+    it('traverse (filtered relation)', async function() {
+        var graph = await osdf.traverse(child_id, {relations: [ 'other' ]});
+
+        assert.deepEqual(_.map(graph['nodes'], 'id'), [ child_id ]);
+        assert.isEmpty(graph['edges']);
+    });
+});
+
+describe('Traversal (paged links)', function() {
+    var nodes = {
+        hub: { id: 'hub', linkage: { has: [ 'a', 'b', 'c' ] } },
+        a: { id: 'a', linkage: {} },
+        b: { id: 'b', linkage: {} },
+        c: { id: 'c', linkage: {} },
+        lost: { id: 'lost', linkage: {}, unlisted_links: 3 }
+    };
+    var server = null;
+    var client = null;
+
+    before(function(done) {
+        server = paged_links_server(nodes, function(paged_client) {
+            client = paged_client;
+            done();
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    it('traverse (out, second page)', async function() {
+        var graph = await client.traverse('hub');
+
+        assert.sameMembers(_.map(graph['nodes'], 'id'),
+            [ 'hub', 'a', 'b', 'c' ]);
+        assert.lengthOf(graph['edges'], 3);
+    });
+
+    it('traverse (in, second page)', async function() {
+        var graph = await client.traverse('c', {direction: 'in'});
+
+        assert.sameMembers(_.map(graph['nodes'], 'id'), [ 'c', 'hub' ]);
+    });
+
+    it('traverse (missing page)', async function() {
+        var err = null;
+
+        try {
+            await client.traverse('lost', {direction: 'in'});
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.OSDFError);
+        assert.include(err.message, 'Only 0 of the 3 nodes linked to node ' +
+            'lost could be retrieved.');
+    });
+});
+
+describe('Links', function() {
+    var source_id = null;
+    var target_id = null;
+
+    before(async function() {
+        source_id = await osdf.insert_node(make_node());
+        target_id = await osdf.insert_node(make_node());
+    });
+
+    after(async function() {
+        await osdf.delete_node(source_id);
+        await osdf.delete_node(target_id);
+    });
+
+    it('add_link', async function() {
+        var node = await osdf.add_link(source_id, 'part_of', target_id);
+
+        assert.deepEqual(node['linkage'], { part_of: [ target_id ] });
+    });
+
+    it('add_link (duplicate)', async function() {
+        var node = await osdf.add_link(source_id, 'part_of', target_id);
+
+        assert.deepEqual(node['linkage'], { part_of: [ target_id ] });
+        assert.strictEqual(node['ver'], 2);
+    });
+
+    it('add_link (missing target)', async function() {
+        var err = null;
+
+        try {
+            await osdf.add_link(source_id, 'part_of', 'does_not_exist');
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.NotFoundError);
+    });
+
+    it('set_links', async function() {
+        var node = await osdf.set_links(source_id, 'related_to',
+            [ target_id ]);
+
+        assert.deepEqual(node['linkage'], {
+            part_of: [ target_id ],
+            related_to: [ target_id ]
+        });
+    });
+
+    it('remove_link', async function() {
+        var node = await osdf.remove_link(source_id, 'part_of', target_id);
+
+        assert.deepEqual(node['linkage'], { related_to: [ target_id ] });
+    });
+});
+
+describe('Cascading deletes', function() {
+    var parent_id = null;
+    var child_id = null;
+
+    before(async function() {
+        parent_id = await osdf.insert_node(make_node());
+        child_id = await osdf.insert_node(
+            make_node({ linkage: { part_of: [ parent_id ] } }));
+    });
+
+    it('delete_node_tree (dry run)', async function() {
+        var report = await osdf.delete_node_tree(parent_id, {dry_run: true});
+
+        assert.isTrue(report['dry_run']);
+        assert.deepEqual(report['order'], [ child_id, parent_id ]);
+        assert.isEmpty(report['deleted']);
+
+        // Nothing was actually deleted.
+        assert.isObject(await osdf.get_node(child_id));
+    });
+
+    it('delete_node_tree', async function() {
+        var report = await osdf.delete_node_tree(parent_id);
+        var err = null;
+
+        assert.deepEqual(report['deleted'], [ child_id, parent_id ]);
+        assert.isEmpty(report['remaining']);
+
+        try {
+            await osdf.get_node(child_id);
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.NotFoundError);
+    });
+});
+
+describe('Cascading deletes (paged links)', function() {
+    var nodes = {
+        parent: { id: 'parent', linkage: {} },
+        first: { id: 'first', linkage: { part_of: [ 'parent' ] } },
+        second: { id: 'second', linkage: { part_of: [ 'parent' ] } },
+        third: { id: 'third', linkage: { part_of: [ 'parent' ] } },
+        lost: { id: 'lost', linkage: {}, unlisted_links: 1 }
+    };
+    var server = null;
+    var client = null;
+
+    before(function(done) {
+        server = paged_links_server(nodes, function(paged_client) {
+            client = paged_client;
+            done();
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    it('delete_node_tree (dry run, second page)', async function() {
+        var report = await client.delete_node_tree('parent', {dry_run: true});
+
+        assert.sameMembers(report['order'].slice(0, 3),
+            [ 'first', 'second', 'third' ]);
+        assert.strictEqual(report['order'][3], 'parent');
+    });
+
+    it('delete_node_tree (second page)', async function() {
+        var report = await client.delete_node_tree('parent');
+
+        assert.lengthOf(report['deleted'], 4);
+        assert.doesNotHaveAnyKeys(nodes,
+            [ 'parent', 'first', 'second', 'third' ]);
+    });
+
+    it('delete_node_tree (missing page)', async function() {
+        var err = null;
+
+        try {
+            await client.delete_node_tree('lost');
+        } catch (exception) {
+            err = exception;
+        }
+
+        assert.instanceOf(err, osdf.OSDFError);
+        assert.property(nodes, 'lost');
+    });
+});
+
+describe('Bulk insertion', function() {
+    var node = make_node();
+
+    var report = null;
+
+    after(async function() {
+        if (report && report['results'][1]['id']) {
+            await osdf.delete_node_tree(report['results'][1]['id']);
+        }
+    });
+
+    it('insert_nodes', async function() {
+        report = await osdf.insert_nodes([
+            _.assign({}, node, {
+                id: 'local-child',
+                linkage: { part_of: [ 'local-parent' ] }
+            }),
+            _.assign({}, node, { id: 'local-parent' })
+        ]);
+
+        assert.strictEqual(report['inserted'], 2);
+        assert.strictEqual(report['failed'], 0);
+
+        var child = await osdf.get_node(report['results'][0]['id']);
+
+        assert.deepEqual(child['linkage'],
+            { part_of: [ report['results'][1]['id'] ] });
+    });
+});
+
+describe('Restoring namespaces', function() {
+    // A server with an empty namespace, recording the changes made to it.
+    var changes = [];
+    var inserted = 0;
+    var server = require('http').createServer(function(req, res) {
+        var body = '';
+
+        req.on('data', function(chunk) {
+            body = body + chunk;
+        });
+
+        req.on('end', function() {
+            if (req.method === 'GET') {
+                res.end(JSON.stringify({}));
+                return;
+            }
+
+            changes.push({
+                method: req.method,
+                url: req.url,
+                body: JSON.parse(body)
+            });
+
+            res.statusCode = 201;
+
+            if (req.url === '/nodes') {
+                inserted++;
+                res.setHeader('Location', '/nodes/restored_' + inserted);
+            }
+
+            res.end();
+        });
+    });
+    var client = null;
+    var dir = null;
+    var file = null;
+
+    var acl = { read: [ 'all' ], write: [ 'all' ] };
+
+    var records = [
+        { type: 'namespace', name: 'test', info: {} },
+        { type: 'aux_schema', name: 'contact', schema: { type: 'object' } },
+        {
+            type: 'schema', name: 'sample',
+            schema: { properties: { meta: { $ref: '#contact' } } }
+        },
+        {
+            type: 'node',
+            node: {
+                id: 'old_sample', ver: 3, ns: 'test', acl: acl,
+                linkage: { collected_from: [ 'old_subject', 'elsewhere' ] },
+                node_type: 'sample', meta: {}
+            }
+        },
+        {
+            type: 'node',
+            node: {
+                id: 'old_subject', ver: 1, ns: 'test', acl: acl,
+                linkage: {}, node_type: 'subject', meta: {}
+            }
+        }
+    ];
+
+    before(function(done) {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osdf-restore-'));
+        file = path.join(dir, 'test.ndjson');
 
-                test_node_id = node_id;
+        fs.writeFileSync(file, _.map(records, function(record) {
+            return JSON.stringify(record) + '\n';
+        }).join(''));
 
-                resolve();
-            }
+        server.listen(0, '127.0.0.1', function() {
+            client = new osdf.OSDFClient({
+                host: '127.0.0.1',
+                port: server.address().port
+            });
+
+            done();
         });
     });
 
-    it('get_node', async function() {
-        var node = null;
-        var err = null;
-        var required_keys = [
-            'acl', 'hash', 'id', 'linkage', 'node_type', 'ns', 'ver', 'meta'
-        ];
-
-        try {
-            node = await osdf.get_node(test_node_id);
-        } catch (exception) {
-            err = exception;
-        }
+    after(function(done) {
+        fs.rmSync(dir, { recursive: true });
+        server.close(done);
+    });
 
-        return new Promise(function(resolve, reject) {
-            if (err) {
-                assert.fail();
-                reject(err);
-            } else {
-                assert.isNotNull(node);
-                assert.hasAllKeys(node, required_keys);
+    it('restore_namespace', async function() {
+        var report = await client.restore_namespace(file, 'copy');
+
+        // Schemas are created first, the auxiliary schema before the schema
+        // referring to it, then the linked node before the one linking to it.
+        assert.deepEqual(_.map(changes, 'url'), [
+            '/namespaces/copy/schemas/aux',
+            '/namespaces/copy/schemas',
+            '/nodes',
+            '/nodes'
+        ]);
+        assert.deepEqual(changes[0]['body'],
+            { name: 'contact', schema: { type: 'object' } });
+        assert.deepEqual(_.map(report['schemas'], 'name'),
+            [ 'contact', 'sample' ]);
+
+        assert.deepEqual(changes[2]['body'], {
+            ns: 'copy', acl: acl, linkage: {}, node_type: 'subject', meta: {}
+        });
+        assert.deepEqual(changes[3]['body'], {
+            ns: 'copy', acl: acl,
+            linkage: { collected_from: [ 'restored_1', 'elsewhere' ] },
+            node_type: 'sample', meta: {}
+        });
 
-                resolve();
-            }
+        assert.deepEqual(report['id_map'], {
+            old_subject: 'restored_1',
+            old_sample: 'restored_2'
         });
+        assert.strictEqual(report['nodes']['inserted'], 2);
+        assert.strictEqual(report['nodes']['failed'], 0);
     });
+});
 
-    it('edit_node', async function() {
-        var err = null;
+describe('Schemas', function() {
+    var test_namespace = 'test';
+    var test_schema_name = 'my_cool_name';
+
+    var test_schema = {
+        type: 'object',
+        properties: {
+            prop: {
+                title: 'A bit of text.',
+                type: 'string'
+            }
+        },
+        additionalProperties: false,
+        required: [ 'prop' ]
+    };
 
-        var updated = _.clone(test_node);
-        updated['meta']['updated'] = true;
-        updated['ver'] = 1;
+
+    it('get_schema', async function() {
+        var schema = null;
+        var err = null;
 
         try {
-            await osdf.edit_node(test_node_id, updated);
+            schema = await osdf.get_schema(test_namespace, 'example');
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-             assert.isNull(err);
+            assert.isNotNull(schema);
+            assert.isObject(schema);
         }, err);
     });
 
-    it('get_node_by_version', async function() {
-        var node = null;
+    it('get_bundled_schema', async function() {
+        var schema = null;
         var err = null;
-        var version = 1;
 
         try {
-            node = await osdf.get_node_by_version(test_node_id, version);
+            schema = await osdf.get_bundled_schema(test_namespace, 'example');
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-             assert.isNotNull(node);
-             assert.isNumber(node['ver']);
-             assert.strictEqual(version, node['ver']);
+            assert.isObject(schema);
+
+            // Every reference now points within the document itself.
+            var refs = JSON.stringify(schema).match(/"\$ref":"[^"]*"/g);
+
+            _.forEach(refs, function(ref) {
+                assert.include(ref, '"#/');
+            });
         }, err);
     });
 
-    it('get_node_in_links', async function() {
+    it('generate_types', async function() {
+        var text = null;
         var err = null;
-        var links = null;
 
         try {
-            links = await osdf.get_node_in_links(test_node_id);
+            text = await osdf.generate_types(test_namespace);
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-            assert.isNotNull(links);
-            assert.hasAllKeys(links, ['page', 'results', 'result_count']);
-            assert.isArray(links['results']);
-            assert.isNumber(links['page']);
-            assert.isNumber(links['result_count']);
+            assert.include(text, 'export interface ExampleNode');
+            assert.match(text, /export type OSDFNode = .*ExampleNode/);
         }, err);
     });
 
-    it('get_node_out_links', async function() {
+    it('get_schemas (all)', async function() {
+        var schemas = null;
         var err = null;
-        var links = null;
 
         try {
-            links = await osdf.get_node_out_links(test_node_id);
+            schemas = await osdf.get_schemas('test2');
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-            assert.isNotNull(links);
-            assert.hasAllKeys(links, ['page', 'results', 'result_count']);
-            assert.isArray(links['results']);
-            assert.isNumber(links['page']);
-            assert.isNumber(links['result_count']);
+            assert.isNotNull(schemas);
+            assert.isObject(schemas);
         }, err);
     });
 
-    it('delete_node', async function() {
+    it('get_validator', async function() {
+        var node_validator = null;
         var err = null;
 
         try {
-            await osdf.delete_node(test_node_id);
+            node_validator = await osdf.get_validator(test_namespace);
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-            assert.isNull(err);
+            assert.instanceOf(node_validator, osdf.NodeValidator);
+            assert.deepEqual(node_validator.validate(make_node({
+                ns: test_namespace
+            })), []);
+            assert.isNotEmpty(node_validator.validate({ ns: test_namespace }));
         }, err);
     });
 
-    it('validate_node', async function() {
-        var error_text = null;
+    it('plan_schema_change', async function() {
+        var report = null;
         var err = null;
 
+        var stricter = {
+            type: 'object',
+            properties: {
+                meta: { required: [ 'no_such_property' ] }
+            }
+        };
+
         try {
-            error_text = await osdf.validate_node(test_node);
+            report = await osdf.plan_schema_change(test_namespace, 'example',
+                stricter);
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-            assert.isString(error_text);
-            assert.isEmpty(error_text);
+            assert.isFalse(report['applied']);
+            assert.lengthOf(report['violations'], report['total']);
+            _.forEach(report['violations'], function(violation) {
+                assert.isString(violation['id']);
+                assert.isNotEmpty(violation['errors']);
+            });
         }, err);
     });
 
-    it('validate_node (bad node)', async function() {
-        var bad_node = {};
-        var error_text = null;
+    it('plan_schema_change (refused)', async function() {
+        // A schema of its own, with a node that violates the proposed
+        // change, so that the refusal never depends on the nodes on the
+        // server, and no schema in use is at risk of being overwritten.
+        var name = 'plan_refused';
+        var node_id = null;
+        var err = null;
+
+        await osdf.insert_schema(test_namespace, name, { type: 'object' });
+
+        try {
+            node_id = await osdf.insert_node(make_node({
+                ns: test_namespace,
+                node_type: name
+            }));
+
+            try {
+                await osdf.plan_schema_change(test_namespace, name, {
+                    not: {}
+                }, {apply: true});
+            } catch (exception) {
+                err = exception;
+            }
+
+            assert.instanceOf(err, osdf.ValidationFailedError);
+            assert.isFalse(err.report['applied']);
+            assert.deepEqual(_.map(err.report['violations'], 'id'),
+                [ node_id ]);
+            assert.deepEqual(await osdf.get_schema(test_namespace, name),
+                { type: 'object' });
+        } finally {
+            if (node_id) {
+                await osdf.delete_node(node_id);
+            }
+
+            await osdf.delete_schema(test_namespace, name);
+        }
+    });
+
+    it('sync_schemas (dry run)', async function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osdf-schemas-'));
+        var report = null;
         var err = null;
 
         try {
-            error_text = await osdf.validate_node(bad_node);
+            var schemas = await osdf.get_schemas(test_namespace);
+            var aux_schemas = await osdf.get_aux_schemas(test_namespace);
+
+            fs.mkdirSync(path.join(dir, 'aux'));
+
+            _.forEach(schemas, function(schema, name) {
+                fs.writeFileSync(path.join(dir, name + '.json'),
+                    JSON.stringify(schema));
+            });
+
+            _.forEach(aux_schemas, function(schema, name) {
+                fs.writeFileSync(path.join(dir, 'aux', name + '.json'),
+                    JSON.stringify(schema));
+            });
+
+            fs.writeFileSync(path.join(dir, test_schema_name + '.json'),
+                JSON.stringify(test_schema));
+
+            report = await osdf.sync_schemas(test_namespace, dir);
         } catch (exception) {
             err = exception;
         }
 
+        fs.rmSync(dir, { recursive: true });
+
         return mk_assertion_promise(function() {
-            assert.isString(error_text);
-            assert.isNotEmpty(error_text);
-            assert.match(error_text, /acl/, 'Error mentions acl.');
-            assert.match(error_text, /meta/, 'Error mentions meta.');
-            assert.match(error_text, /node_type/, 'Error mentions node_type.');
-            assert.match(error_text, /ns/, 'Error mentions ns.');
-            assert.match(error_text, /linkage/, 'Error mentions linkage.');
+            assert.isTrue(report['dry_run']);
+            assert.isEmpty(report['completed']);
+            assert.deepEqual(_.map(report['actions'], function(action) {
+                return _.pick(action, ['action', 'kind', 'name']);
+            }), [
+                { action: 'create', kind: 'schema', name: test_schema_name }
+            ]);
+            assert.include(report['text'], '+ schema ' + test_schema_name);
         }, err);
     });
-});
-
-describe('Schemas', function() {
-    var test_namespace = 'test';
-    var test_schema_name = 'my_cool_name';
-
-    var test_schema = {
-        type: 'object',
-        properties: {
-            prop: {
-                title: 'A bit of text.',
-                type: 'string'
-            }
-        },
-        additionalProperties: false,
-        required: [ 'prop' ]
-    };
-
 
-    it('get_schema', async function() {
-        var schema = null;
+    it('get_schema_dependencies', async function() {
+        var dependencies = null;
         var err = null;
 
         try {
-            schema = await osdf.get_schema(test_namespace, 'example');
+            dependencies = await osdf.get_schema_dependencies(test_namespace);
         } catch (exception) {
             err = exception;
         }
 
         return mk_assertion_promise(function() {
-            assert.isNotNull(schema);
-            assert.isObject(schema);
+            assert.hasAllKeys(dependencies,
+                [ 'schemas', 'aux_schemas', 'dependents', 'missing' ]);
+            assert.property(dependencies['schemas'], 'example');
+            assert.property(dependencies['dependents'], 'example_aux');
         }, err);
     });
 
-    it('get_schemas (all)', async function() {
-        var schemas = null;
+    it('delete_schema (safe, in use)', async function() {
         var err = null;
 
         try {
-            schemas = await osdf.get_schemas('test2');
+            await osdf.delete_schema(test_namespace, 'example', {safe: true});
         } catch (exception) {
             err = exception;
         }
 
-        return mk_assertion_promise(function() {
-            assert.isNotNull(schemas);
-            assert.isObject(schemas);
-        }, err);
+        assert.instanceOf(err, osdf.ConflictError);
+        assert.isNotEmpty(err.dependents['nodes']);
+        assert.isAtLeast(err.dependents['total'],
+            err.dependents['nodes'].length);
     });
 
     it('insert_schema', async function() {
@@ -505,6 +1545,46 @@ describe('Namespaces', function() {
             }
         });
     });
+
+    it('dump_namespace', async function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osdf-dump-'));
+        var file = path.join(dir, 'test.ndjson');
+
+        try {
+            var counts = await osdf.dump_namespace('test', file);
+            var lines = _.compact(fs.readFileSync(file, 'utf8').split('\n'));
+            var records = _.map(lines, function(line) {
+                return JSON.parse(line);
+            });
+
+            assert.strictEqual(records[0]['type'], 'namespace');
+            assert.strictEqual(records[0]['name'], 'test');
+            assert.strictEqual(records.length, 1 + counts['aux_schemas'] +
+                counts['schemas'] + counts['nodes']);
+            assert.strictEqual(_.filter(records, { type: 'node' }).length,
+                counts['nodes']);
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+
+    it('diff_namespace', async function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osdf-dump-'));
+        var file = path.join(dir, 'test.ndjson');
+
+        try {
+            await osdf.dump_namespace('test', file);
+
+            var result = await osdf.diff_namespace(file, osdf, 'test');
+
+            assert.strictEqual(result.namespace, 'test');
+            assert.deepEqual(result.nodes,
+                { added: [], removed: [], changed: [] });
+            assert.include(result.text, 'no differences');
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
 });
 
 describe('Queries', function() {
@@ -740,6 +1820,148 @@ describe('Queries', function() {
             }
         });
     });
+
+    it('query_all (concurrency)', async function() {
+        var err = null;
+        var results = null;
+        var es_query = {
+            'query':{
+                'filtered':{'filter':[{'term':{'node_type':'example'}}]}
+            }
+        };
+
+        try {
+            results = await osdf.query_all(es_query, namespace,
+                {concurrency: 2});
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.strictEqual(results['result_count'],
+                results['search_result_total']);
+            assert.lengthOf(results['results'], results['result_count']);
+        }, err);
+    });
+
+    it('iterate_query', async function() {
+        var err = null;
+        var nodes = [];
+        var es_query = {
+            'query':{
+                'filtered':{'filter':[{'term':{'node_type':'example'}}]}
+            }
+        };
+
+        try {
+            for await (var node of osdf.iterate_query(es_query, namespace)) {
+                nodes.push(node);
+            }
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNotEmpty(nodes);
+
+            nodes.forEach(function(node) {
+                assert.strictEqual(node['node_type'], 'example');
+            });
+        }, err);
+    });
+
+    it('iterate_oql', async function() {
+        var err = null;
+        var nodes = [];
+        var oql = '"example"[node_type]';
+
+        try {
+            for await (var node of osdf.iterate_oql(oql, namespace)) {
+                nodes.push(node);
+            }
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isNotEmpty(nodes);
+        }, err);
+    });
+
+    it('stream_oql', function() {
+        var oql = '"example"[node_type]';
+        var nodes = [];
+
+        return new Promise(function(resolve, reject) {
+            osdf.stream_oql(oql, namespace)
+                .on('data', function(node) {
+                    nodes.push(node);
+                })
+                .on('error', function(err) {
+                    assert.fail(err);
+                    reject(err);
+                })
+                .on('end', function() {
+                    assert.isNotEmpty(nodes);
+                    resolve();
+                });
+        });
+    });
+
+    it('update_by_query (dry run)', async function() {
+        var err = null;
+        var summary = null;
+        var progress = [];
+        var es_query = {
+            'query':{
+                'filtered':{'filter':[{'term':{'node_type':'example'}}]}
+            }
+        };
+
+        try {
+            summary = await osdf.update_by_query(es_query, namespace,
+                function(node) {
+                    node['meta']['reviewed'] = true;
+                }, {
+                    dry_run: true,
+                    on_progress: function(event) {
+                        progress.push(event);
+                    }
+                });
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isTrue(summary['dry_run']);
+            assert.lengthOf(summary['planned'], summary['total']);
+            assert.lengthOf(progress, summary['total']);
+            _.forEach(summary['planned'], function(plan) {
+                assert.deepInclude(plan['changes'], {
+                    path: '/meta/reviewed', kind: 'added', after: true
+                });
+            });
+        }, err);
+    });
+
+    it('delete_by_query (dry run)', async function() {
+        var err = null;
+        var summary = null;
+        var oql = '"example"[node_type]';
+
+        try {
+            summary = await osdf.delete_by_query(oql, namespace,
+                {dry_run: true});
+        } catch (exception) {
+            err = exception;
+        }
+
+        return mk_assertion_promise(function() {
+            assert.isTrue(summary['dry_run']);
+            assert.lengthOf(summary['planned'], summary['total']);
+            assert.notProperty(summary, 'succeeded');
+        }, err);
+    });
 });
 
 function mk_assertion_promise(func, err) {
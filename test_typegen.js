@@ -0,0 +1,103 @@
+#!/usr/bin/env mocha
+
+var typegen = require('./typegen');
+var assert = require('chai').assert;
+
+describe('Type generation', function() {
+    var aux_schemas = {
+        contact: {
+            type: 'object',
+            properties: {
+                email: { type: 'string' }
+            },
+            required: [ 'email' ],
+            additionalProperties: false
+        }
+    };
+
+    var schemas = {
+        sample: {
+            type: 'object',
+            properties: {
+                meta: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'The name.' },
+                        count: { $ref: '#/definitions/count' },
+                        contact: { $ref: '#contact' },
+                        tags: {
+                            type: 'array',
+                            items: { type: [ 'string', 'null' ] }
+                        },
+                        'body-site': { enum: [ 'gut', 'skin' ] }
+                    },
+                    required: [ 'name' ],
+                    additionalProperties: false
+                }
+            },
+            definitions: {
+                count: { type: 'integer' }
+            }
+        },
+        subject: {
+            type: 'object',
+            properties: {
+                meta: { $ref: '#contact' }
+            }
+        }
+    };
+
+    var text = typegen.to_typescript(schemas, aux_schemas,
+        { namespace: 'test' });
+
+    it('to_typescript (header)', function() {
+        assert.include(text, 'namespace test');
+        assert.include(text, 'export interface OSDFNodeBase' +
+            '<Meta = { [key: string]: unknown }> {\n');
+        assert.include(text, '    meta: Meta;\n');
+    });
+
+    it('to_typescript (aux schemas)', function() {
+        assert.include(text, 'export interface Contact {\n' +
+            '    email: string;\n' +
+            '}\n');
+    });
+
+    it('to_typescript (meta)', function() {
+        assert.include(text, 'export interface SampleMeta {\n' +
+            '    /** The name. */\n' +
+            '    name: string;\n' +
+            '    count?: number;\n' +
+            '    contact?: Contact;\n' +
+            '    tags?: (string | null)[];\n' +
+            '    "body-site"?: "gut" | "skin";\n' +
+            '}\n');
+        assert.include(text, 'export type SubjectMeta = Contact;');
+    });
+
+    it('to_typescript (nodes)', function() {
+        assert.include(text, 'export interface SampleNode extends ' +
+            'OSDFNodeBase<SampleMeta> {\n' +
+            '    node_type: "sample";\n' +
+            '}\n');
+        assert.include(text, 'export interface SubjectNode extends ' +
+            'OSDFNodeBase<SubjectMeta> {\n');
+        assert.include(text,
+            'export type OSDFNode = SampleNode | SubjectNode;');
+    });
+
+    it('to_typescript (closed meta)', function() {
+        // Meta without additionalProperties has no index signature, which
+        // node interfaces must not require of it.
+        var meta = text.substring(text.indexOf('export interface SampleMeta'));
+        meta = meta.substring(0, meta.indexOf('\n}\n'));
+
+        assert.notInclude(meta, '[key: string]');
+        assert.notInclude(text, 'meta: SampleMeta;');
+    });
+
+    it('to_typescript (no schemas)', function() {
+        assert.include(typegen.to_typescript({}, {}),
+            'export type OSDFNode = OSDFNodeBase;');
+    });
+});
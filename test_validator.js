@@ -0,0 +1,339 @@
+#!/usr/bin/env mocha
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var validator = require('./validator');
+var assert = require('chai').assert;
+
+describe('Validator', function() {
+    var aux_schemas = {
+        contact: {
+            type: 'object',
+            properties: {
+                email: { type: 'string', pattern: '@' }
+            },
+            required: [ 'email' ]
+        }
+    };
+
+    var schemas = {
+        sample: {
+            type: 'object',
+            properties: {
+                node_type: { enum: [ 'sample' ] },
+                meta: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 3 },
+                        count: { $ref: '#/definitions/count' },
+                        contact: { $ref: '#contact' },
+                        tags: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            uniqueItems: true
+                        }
+                    },
+                    required: [ 'name' ],
+                    additionalProperties: false
+                }
+            },
+            definitions: {
+                count: { type: 'integer', minimum: 0 }
+            }
+        }
+    };
+
+    var node = {
+        ns: 'test',
+        acl: { read: [ 'all' ], write: [ 'all' ] },
+        linkage: { part_of: [ 'abc' ] },
+        node_type: 'sample',
+        meta: {
+            name: 'first',
+            count: 2,
+            contact: { email: 'someone@example.org' },
+            tags: [ 'a', 'b' ]
+        }
+    };
+
+    var v = new validator.NodeValidator('test', schemas, aux_schemas);
+
+    it('validate (valid node)', function() {
+        assert.deepEqual(v.validate(node), []);
+    });
+
+    it('validate (base structure)', function() {
+        var bad = _.omit(node, 'acl');
+        bad['linkage'] = { part_of: 'abc' };
+        bad['extra'] = true;
+
+        assert.sameDeepMembers(v.validate(bad), [
+            {
+                path: '/linkage/part_of', keyword: 'type',
+                message: 'Invalid type: string (expected array)'
+            },
+            {
+                path: '/extra', keyword: 'additionalProperties',
+                message: 'Additional properties not allowed'
+            },
+            {
+                path: '', keyword: 'required',
+                message: 'Missing required property: acl'
+            }
+        ]);
+    });
+
+    it('validate (node_type schema)', function() {
+        var bad = _.cloneDeep(node);
+        bad['meta'] = {
+            count: -1.5,
+            contact: { email: 'nobody' },
+            tags: [ 'a', 'a' ],
+            color: 'red'
+        };
+
+        var errors = v.validate(bad);
+
+        assert.sameDeepMembers(_.map(errors, function(error) {
+            return error['path'] + ' ' + error['keyword'];
+        }), [
+            '/meta required',
+            '/meta/count type',
+            '/meta/contact/email pattern',
+            '/meta/tags uniqueItems',
+            '/meta/color additionalProperties'
+        ]);
+    });
+
+    it('validate (unresolved reference)', function() {
+        var broken = new validator.NodeValidator('test', schemas, {});
+        var errors = broken.validate(node);
+
+        assert.deepEqual(errors, [{
+            path: '', keyword: '$ref',
+            message: 'Unresolved reference: contact'
+        }]);
+    });
+
+    it('validate (circular reference)', function() {
+        var looped = new validator.NodeValidator('test', {
+            sample: { properties: { meta: { $ref: '#a' } } }
+        }, {
+            a: { $ref: '#b' },
+            b: { allOf: [ { $ref: '#a' } ] }
+        });
+
+        assert.deepEqual(looped.validate(node), [{
+            path: '', keyword: '$ref',
+            message: 'Circular reference among the schemas'
+        }]);
+    });
+
+    it('validate (recursive schema)', function() {
+        var tree = new validator.NodeValidator('test', {
+            sample: { properties: { meta: { $ref: '#tree' } } }
+        }, {
+            tree: {
+                type: 'object',
+                properties: {
+                    children: { type: 'array', items: { $ref: '#tree' } }
+                }
+            }
+        });
+
+        var nested = _.assign({}, node, {
+            meta: { children: [ { children: [ { children: 'none' } ] } ] }
+        });
+
+        assert.deepEqual(tree.validate(nested), [{
+            path: '/meta/children/0/children/0/children', keyword: 'type',
+            message: 'Invalid type: string (expected array)'
+        }]);
+    });
+
+    it('validate (unknown node_type)', function() {
+        var other = _.assign({}, node, { node_type: 'unregistered' });
+
+        assert.deepEqual(v.validate(other), []);
+    });
+
+    it('validate (namespace)', function() {
+        var other = _.assign({}, node, { ns: 'elsewhere' });
+
+        assert.deepEqual(_.map(v.validate(other), 'keyword'), [ 'ns' ]);
+    });
+
+    it('validate_against (combinations)', function() {
+        var schema = {
+            oneOf: [ { type: 'string' }, { type: 'integer' } ],
+            not: { enum: [ 0 ] }
+        };
+
+        assert.deepEqual(v.validate_against('x', schema), []);
+        assert.deepEqual(_.map(v.validate_against(0, schema), 'keyword'),
+            [ 'not' ]);
+        assert.deepEqual(_.map(v.validate_against(true, schema), 'keyword'),
+            [ 'oneOf' ]);
+    });
+
+    it('validate_against (messages by keyword)', function() {
+        // The results and messages of tv4, which the server validates with,
+        // for each keyword, and the keyword parse_errors() recognizes.
+        var cases = [
+            [ 'a', { type: 'number' }, '', 'type',
+                'Invalid type: string (expected number)' ],
+            [ 2, { enum: [ 1 ] }, '', 'enum', 'No enum match for: 2' ],
+            [ 1, { anyOf: [ { type: 'string' } ] }, '', 'anyOf',
+                'Data does not match any schemas from "anyOf"' ],
+            [ 1, { oneOf: [ { type: 'string' } ] }, '', 'oneOf',
+                'Data does not match any schemas from "oneOf"' ],
+            [ 1, { oneOf: [ {}, {} ] }, '', 'oneOf', 'Data is valid ' +
+                'against more than one schema from "oneOf": indices 0 and 1' ],
+            [ 1, { not: {} }, '', 'not', 'Data matches schema from "not"' ],
+            [ 3, { multipleOf: 2 }, '', 'multipleOf',
+                'Value 3 is not a multiple of 2' ],
+            [ 1, { minimum: 2 }, '', 'minimum',
+                'Value 1 is less than minimum 2' ],
+            [ 2, { minimum: 2, exclusiveMinimum: true }, '', 'minimum',
+                'Value 2 is equal to exclusive minimum 2' ],
+            [ 3, { maximum: 2 }, '', 'maximum',
+                'Value 3 is greater than maximum 2' ],
+            [ 2, { maximum: 2, exclusiveMaximum: true }, '', 'maximum',
+                'Value 2 is equal to exclusive maximum 2' ],
+            [ NaN, { type: 'number' }, '', 'type',
+                'Value NaN is not a valid number' ],
+            [ 'a', { minLength: 2 }, '', 'minLength',
+                'String is too short (1 chars), minimum 2' ],
+            [ 'ab', { maxLength: 1 }, '', 'maxLength',
+                'String is too long (2 chars), maximum 1' ],
+            [ 'a', { pattern: '^x' }, '', 'pattern',
+                'String does not match pattern: ^x' ],
+            [ {}, { minProperties: 1 }, '', 'minProperties',
+                'Too few properties defined (0), minimum 1' ],
+            [ { a: 1 }, { maxProperties: 0 }, '', 'maxProperties',
+                'Too many properties defined (1), maximum 0' ],
+            [ {}, { required: [ 'a' ] }, '', 'required',
+                'Missing required property: a' ],
+            [ { a: {} }, { properties: { a: { required: [ 'b' ] } } }, '/a',
+                'required', 'Missing required property: b' ],
+            [ { a: 1 }, { additionalProperties: false }, '/a',
+                'additionalProperties', 'Additional properties not allowed' ],
+            [ { a: 1 }, { dependencies: { a: [ 'b' ] } }, '', 'dependencies',
+                'Dependency failed - key must exist: b (due to key: a)' ],
+            [ [], { minItems: 1 }, '', 'minItems',
+                'Array is too short (0), minimum 1' ],
+            [ [ 1 ], { maxItems: 0 }, '', 'maxItems',
+                'Array is too long (1), maximum 0' ],
+            [ [ 1, 1 ], { uniqueItems: true }, '', 'uniqueItems',
+                'Array items are not unique (indices 0 and 1)' ],
+            [ [ 1, 2 ], { items: [ {} ], additionalItems: false }, '/1',
+                'additionalItems', 'Additional items not allowed' ]
+        ];
+
+        _.forEach(cases, function(entry) {
+            var expected = [
+                { path: entry[2], message: entry[4], keyword: entry[3] }
+            ];
+            var errors = v.validate_against(entry[0], entry[1]);
+
+            assert.deepEqual(errors, expected, entry[4]);
+            assert.deepEqual(validator.parse_errors(
+                validator.format_errors(errors)), expected, entry[4]);
+        });
+    });
+
+    it('format_errors', function() {
+        var text = validator.format_errors([
+            { path: '/meta/name', message: 'Missing required property: name',
+                keyword: 'required' },
+            { path: '', message: 'Invalid type: array (expected object)',
+                keyword: 'type' }
+        ]);
+
+        assert.strictEqual(text, '/meta/name: Missing required property: ' +
+            'name\nInvalid type: array (expected object)');
+        assert.strictEqual(validator.format_errors([]), '');
+    });
+
+    it('parse_errors', function() {
+        var errors = [
+            { path: '/meta/name', message: 'Missing required property: name',
+                keyword: 'required' },
+            { path: '/meta/count', message: 'Value -1 is less than minimum 0',
+                keyword: 'minimum' },
+            { path: '', message: 'Invalid type: array (expected object)',
+                keyword: 'type' }
+        ];
+
+        assert.deepEqual(validator.parse_errors(
+            validator.format_errors(errors)), errors);
+        assert.deepEqual(validator.parse_errors('Something else\n'), [
+            { path: '', message: 'Something else', keyword: null }
+        ]);
+        assert.deepEqual(validator.parse_errors(''), []);
+    });
+
+    it('aux_refs', function() {
+        assert.deepEqual(validator.aux_refs(schemas['sample']), [ 'contact' ]);
+        assert.deepEqual(validator.aux_refs({
+            allOf: [
+                { $ref: 'first.json' },
+                { $ref: 'second#/definitions/x' },
+                { $ref: '#first' }
+            ]
+        }), [ 'first', 'second' ]);
+    });
+
+    it('from_dir', function(done) {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osdf-schemas-'));
+
+        fs.mkdirSync(path.join(dir, 'aux'));
+        fs.writeFileSync(path.join(dir, 'sample.json'),
+            JSON.stringify(schemas['sample']));
+        fs.writeFileSync(path.join(dir, 'aux', 'contact.json'),
+            JSON.stringify(aux_schemas['contact']));
+
+        validator.from_dir('test', dir, function(err, loaded) {
+            fs.rmSync(dir, { recursive: true });
+
+            assert.isNull(err);
+            assert.hasAllKeys(loaded.schemas, [ 'sample' ]);
+            assert.hasAllKeys(loaded.aux_schemas, [ 'contact' ]);
+            assert.deepEqual(loaded.validate(node), []);
+
+            done();
+        });
+    });
+
+    it('read_schemas (missing directory)', function(done) {
+        var dir = path.join(os.tmpdir(), 'osdf-schemas-missing-' +
+            process.pid);
+
+        validator.read_schemas(dir, function(err, found) {
+            assert.instanceOf(err, Error);
+            assert.strictEqual(err.code, 'ENOENT');
+            assert.isUndefined(found);
+
+            done();
+        });
+    });
+
+    it('read_schemas (no aux directory)', function(done) {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osdf-schemas-'));
+
+        fs.writeFileSync(path.join(dir, 'sample.json'),
+            JSON.stringify(schemas['sample']));
+
+        validator.read_schemas(dir, function(err, found) {
+            fs.rmSync(dir, { recursive: true });
+
+            assert.isNull(err);
+            assert.hasAllKeys(found.schemas, [ 'sample' ]);
+            assert.deepEqual(found.aux_schemas, {});
+
+            done();
+        });
+    });
+});
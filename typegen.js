@@ -0,0 +1,390 @@
+var _ = require('lodash');
+
+var validator = require('./validator');
+
+/**
+ * Generates TypeScript declarations (.d.ts) from the schemas of a namespace,
+ * so that the meta of nodes can be typed. For each schema, an interface for
+ * the node_type's meta (such as SampleMeta) and one for the node itself
+ * (such as SampleNode) are declared, and each auxiliary schema becomes a
+ * type of its own (such as Contact). Node interfaces extend OSDFNodeBase,
+ * which is generic over the type of meta, so that meta types need not admit
+ * arbitrary properties. All node interfaces are combined into an OSDFNode
+ * union, discriminated by node_type:
+ *
+ * if (node.node_type === 'sample') {
+ *     // node.meta is a SampleMeta here.
+ * }
+ *
+ * JSON Schema types, enums, arrays, objects (including additionalProperties
+ * and patternProperties), allOf, anyOf, oneOf and references are mapped onto
+ * their TypeScript counterparts. Whatever cannot be expressed becomes
+ * unknown.
+ */
+
+// Words TypeScript does not accept as type names.
+var RESERVED = [
+    'any', 'boolean', 'never', 'null', 'number', 'object', 'string',
+    'symbol', 'undefined', 'unknown', 'void'
+];
+
+/**
+ * Generates the declarations.
+ * @param {Object} schemas - The schemas, by name, which is the node_type
+ * they apply to.
+ * @param {Object} aux_schemas - The auxiliary schemas, by name.
+ * @param {Object} [opts] - Generation options, such as namespace, the name
+ * of the namespace, which is mentioned in the header.
+ * @returns {string} The contents of the .d.ts file.
+ */
+function to_typescript(schemas, aux_schemas, opts) {
+    opts = opts || {};
+    schemas = schemas || {};
+    aux_schemas = aux_schemas || {};
+
+    var taken = [ 'OSDFNode', 'OSDFNodeBase' ];
+
+    var claim = function(name) {
+        var base = type_name(name);
+        var unique = base;
+        var count = 2;
+
+        while (_.includes(taken, unique) ||
+                _.includes(RESERVED, unique.toLowerCase())) {
+            unique = base + count;
+            count++;
+        }
+
+        taken.push(unique);
+
+        return unique;
+    };
+
+    var aux_names = _.mapValues(aux_schemas, function(schema, name) {
+        return claim(name);
+    });
+
+    var lines = [
+        '// Generated from the schemas of ' +
+            (opts['namespace'] ? 'namespace ' + opts['namespace'] :
+                'an OSDF namespace') + '. Do not edit.',
+        '',
+        'export interface OSDFNodeBase<Meta = { [key: string]: unknown }> {',
+        '    id: string;',
+        '    ver: number;',
+        '    ns: string;',
+        '    acl: { read: string[]; write: string[] };',
+        '    linkage: { [relation: string]: string[] };',
+        '    node_type: string;',
+        '    meta: Meta;',
+        '}',
+        ''
+    ];
+
+    _.forEach(_.keys(aux_schemas).sort(), function(name) {
+        lines = lines.concat(declare(aux_names[name], aux_schemas[name],
+            aux_schemas[name], aux_names), '');
+    });
+
+    var node_names = _.map(_.keys(schemas).sort(), function(node_type) {
+        var schema = schemas[node_type];
+        var meta_name = claim(node_type + '_meta');
+        var node_name = claim(node_type + '_node');
+
+        var meta_schema = _.get(schema, ['properties', 'meta'], {});
+        meta_schema = inline_local(meta_schema, schema, []);
+
+        lines = lines.concat(declare(meta_name, meta_schema, schema,
+            aux_names), '');
+        lines.push('export interface ' + node_name + ' extends OSDFNodeBase<' +
+            meta_name + '> {');
+        lines.push('    node_type: ' + JSON.stringify(node_type) + ';');
+        lines.push('}');
+        lines.push('');
+
+        return node_name;
+    });
+
+    lines.push('export type OSDFNode = ' +
+        (node_names.length > 0 ? node_names.join(' | ') : 'OSDFNodeBase') +
+        ';');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Declares a named type for a schema: an interface for an object with known
+ * properties, a type alias otherwise.
+ * @param {string} name - The name of the type.
+ * @param {Object} schema - The schema.
+ * @param {Object} root - The document the schema is part of.
+ * @param {Object} aux_names - The type names of the auxiliary schemas.
+ * @returns {string[]} The lines of the declaration.
+ */
+function declare(name, schema, root, aux_names) {
+    var lines = comment(schema, '');
+
+    if (is_plain_object_schema(schema)) {
+        lines.push('export interface ' + name + ' ' +
+            object_type(schema, root, aux_names, '', []));
+    } else {
+        lines.push('export type ' + name + ' = ' +
+            type_of(schema, root, aux_names, '', []) + ';');
+    }
+
+    return lines;
+}
+
+/**
+ * Converts a schema into a TypeScript type expression.
+ * @param {Object} schema - The schema.
+ * @param {Object} root - The document the schema is part of, for resolving
+ * references within it.
+ * @param {Object} aux_names - The type names of the auxiliary schemas.
+ * @param {string} indent - The indentation of the line the type starts on.
+ * @param {Object[]} seen - The local references being expanded, to stop at
+ * recursive ones.
+ * @returns {string} The type expression.
+ */
+function type_of(schema, root, aux_names, indent, seen) {
+    if (! _.isPlainObject(schema)) {
+        return 'unknown';
+    }
+
+    if (_.isString(schema['$ref'])) {
+        var ref = validator.parse_ref(schema['$ref']);
+
+        if (ref['name'] !== '') {
+            return ref['pointer'] === '' && _.has(aux_names, ref['name']) ?
+                aux_names[ref['name']] : 'unknown';
+        }
+
+        var target = resolve_local(schema['$ref'], root);
+
+        if (target === null || _.includes(seen, target)) {
+            return 'unknown';
+        }
+
+        return type_of(target, root, aux_names, indent, seen.concat(target));
+    }
+
+    var recurse = function(subschema) {
+        return type_of(subschema, root, aux_names, indent, seen);
+    };
+
+    if (_.isArray(schema['enum'])) {
+        return union(_.map(schema['enum'], function(value) {
+            return JSON.stringify(value);
+        }));
+    }
+
+    if (_.isArray(schema['allOf'])) {
+        return _.map(schema['allOf'], function(subschema) {
+            return parenthesize(recurse(subschema));
+        }).join(' & ');
+    }
+
+    var alternatives = schema['anyOf'] || schema['oneOf'];
+
+    if (_.isArray(alternatives)) {
+        return union(_.map(alternatives, recurse));
+    }
+
+    if (_.isArray(schema['type'])) {
+        return union(_.map(schema['type'], function(type) {
+            return recurse(_.assign({}, schema, {type: type}));
+        }));
+    }
+
+    switch (schema['type']) {
+        case 'string':
+            return 'string';
+        case 'number':
+        case 'integer':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+        case 'null':
+            return 'null';
+        case 'array':
+            return array_type(schema, root, aux_names, indent, seen);
+        case 'object':
+            return object_type(schema, root, aux_names, indent, seen);
+        default:
+            if (_.has(schema, 'properties')) {
+                return object_type(schema, root, aux_names, indent, seen);
+            }
+
+            return 'unknown';
+    }
+}
+
+function array_type(schema, root, aux_names, indent, seen) {
+    var items = schema['items'];
+
+    if (_.isArray(items)) {
+        return '[' + _.map(items, function(item) {
+            return type_of(item, root, aux_names, indent, seen);
+        }).join(', ') + ']';
+    }
+
+    return parenthesize(type_of(items, root, aux_names, indent, seen)) +
+        '[]';
+}
+
+function object_type(schema, root, aux_names, indent, seen) {
+    var inner = indent + '    ';
+    var required = schema['required'] || [];
+    var lines = [];
+
+    _.forEach(schema['properties'], function(property, name) {
+        lines = lines.concat(comment(property, inner));
+        lines.push(inner + property_name(name) +
+            (_.includes(required, name) ? '' : '?') + ': ' +
+            type_of(property, root, aux_names, inner, seen) + ';');
+    });
+
+    var extra = _.values(schema['patternProperties']);
+
+    if (_.isPlainObject(schema['additionalProperties'])) {
+        extra.push(schema['additionalProperties']);
+    }
+
+    if (extra.length > 0) {
+        // Index signatures have to admit the named properties too.
+        var types = _.map(extra, function(subschema) {
+            return type_of(subschema, root, aux_names, inner, seen);
+        });
+
+        if (! _.isEmpty(schema['properties'])) {
+            types = [ 'unknown' ];
+        }
+
+        lines.push(inner + '[key: string]: ' + union(types) + ';');
+    } else if (schema['additionalProperties'] !== false) {
+        lines.push(inner + '[key: string]: unknown;');
+    }
+
+    if (lines.length === 0) {
+        return '{}';
+    }
+
+    return '{\n' + lines.join('\n') + '\n' + indent + '}';
+}
+
+/**
+ * Replaces a reference within a schema with what it refers to, for the
+ * top level of the meta schema of a node_type.
+ * @param {Object} schema - The schema, possibly a reference.
+ * @param {Object} root - The document the schema is part of.
+ * @param {Object[]} seen - The references followed so far.
+ * @returns {Object} The schema referred to, or the schema itself.
+ */
+function inline_local(schema, root, seen) {
+    if (! _.isPlainObject(schema) || ! _.isString(schema['$ref']) ||
+            validator.parse_ref(schema['$ref'])['name'] !== '') {
+        return schema;
+    }
+
+    var target = resolve_local(schema['$ref'], root);
+
+    if (target === null || _.includes(seen, target)) {
+        return {};
+    }
+
+    return inline_local(target, root, seen.concat(target));
+}
+
+function resolve_local(ref, root) {
+    var pointer = validator.parse_ref(ref)['pointer'];
+
+    if (pointer === '') {
+        return root;
+    }
+
+    var target = _.get(root, _.map(pointer.substring(1).split('/'),
+        function(token) {
+            return decodeURIComponent(token).replace(/~1/g, '/')
+                .replace(/~0/g, '~');
+        }));
+
+    return _.isPlainObject(target) ? target : null;
+}
+
+function is_plain_object_schema(schema) {
+    return _.isPlainObject(schema) && ! _.has(schema, '$ref') &&
+        (schema['type'] === 'object' ||
+            (! _.has(schema, 'type') && _.has(schema, 'properties'))) &&
+        ! _.has(schema, 'enum') && ! _.has(schema, 'allOf') &&
+        ! _.has(schema, 'anyOf') && ! _.has(schema, 'oneOf');
+}
+
+function comment(schema, indent) {
+    var text = _.isPlainObject(schema) ?
+        schema['description'] || schema['title'] : null;
+
+    if (! _.isString(text) || text === '') {
+        return [];
+    }
+
+    return [ indent + '/** ' + text.replace(/\*\//g, '*\\/')
+        .replace(/\s+/g, ' ') + ' */' ];
+}
+
+function union(types) {
+    types = _.uniq(types);
+
+    if (_.includes(types, 'unknown')) {
+        return 'unknown';
+    }
+
+    return types.length > 0 ? types.join(' | ') : 'never';
+}
+
+// Wraps a union or intersection in parentheses, for use in an array type.
+function parenthesize(type) {
+    var depth = 0;
+    var quoted = false;
+    var combined = false;
+
+    _.forEach(type, function(character, index) {
+        if (quoted) {
+            if (character === '"' && type.charAt(index - 1) !== '\\') {
+                quoted = false;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (_.includes('{[(', character)) {
+            depth++;
+        } else if (_.includes('}])', character)) {
+            depth--;
+        } else if (depth === 0 && (character === '|' || character === '&')) {
+            combined = true;
+        }
+    });
+
+    return combined ? '(' + type + ')' : type;
+}
+
+function property_name(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name :
+        JSON.stringify(name);
+}
+
+function type_name(name) {
+    var words = String(name).split(/[^A-Za-z0-9]+/);
+
+    var result = _.map(_.compact(words), function(word) {
+        return word.charAt(0).toUpperCase() + word.substring(1);
+    }).join('');
+
+    if (result === '' || /^[0-9]/.test(result)) {
+        result = 'T' + result;
+    }
+
+    return result;
+}
+
+module.exports = {
+    to_typescript: to_typescript
+};
@@ -0,0 +1,500 @@
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var tv4 = require('tv4');
+
+/**
+ * Client-side validation of node documents, for checking large numbers of
+ * nodes without a round trip to the server for each of them. A document is
+ * checked against the structure every node must have (ns, acl, linkage,
+ * node_type and meta), and against the schema registered for its node_type,
+ * if there is one.
+ *
+ * Schemas are JSON Schema (draft 4) documents, checked with tv4, the same
+ * library the server validates with, so that the results and messages are
+ * the server's. References to auxiliary schemas are written as
+ * {"$ref": "#name"} (or "name", or "name.json"), and references within a
+ * schema as JSON Pointers, such as {"$ref": "#/definitions/name"}. The
+ * format keyword is not checked.
+ *
+ * Errors are reported as objects with the JSON Pointer of the offending part
+ * of the document as path, a message and the schema keyword that failed, for
+ * example:
+ *
+ * [
+ *     {path: '/meta', message: 'Missing required property: name',
+ *      keyword: 'required'}
+ * ]
+ *
+ * format_errors() renders them the way the server reports them, one per
+ * line, with the path (if any) before the message.
+ */
+
+// The structure every node document must have, regardless of its node_type.
+var NODE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        ver: { type: 'integer', minimum: 1 },
+        hash: { type: 'string' },
+        ns: { type: 'string', minLength: 1 },
+        acl: {
+            type: 'object',
+            properties: {
+                read: { type: 'array', items: { type: 'string' } },
+                write: { type: 'array', items: { type: 'string' } }
+            },
+            required: [ 'read', 'write' ],
+            additionalProperties: false
+        },
+        linkage: {
+            type: 'object',
+            additionalProperties: {
+                type: 'array',
+                items: { type: 'string' }
+            }
+        },
+        node_type: { type: 'string', minLength: 1 },
+        meta: { type: 'object' }
+    },
+    required: [ 'ns', 'acl', 'linkage', 'node_type', 'meta' ],
+    additionalProperties: false
+};
+
+// Patterns matching the error messages, and the keywords they belong to.
+var MESSAGE_KEYWORDS = [
+    [ /^Invalid type/, 'type' ],
+    [ /^No enum match/, 'enum' ],
+    [ /^Missing required property/, 'required' ],
+    [ /^Additional properties/, 'additionalProperties' ],
+    [ /^Additional items/, 'additionalItems' ],
+    [ /^String is too short/, 'minLength' ],
+    [ /^String is too long/, 'maxLength' ],
+    [ /^String does not match pattern/, 'pattern' ],
+    [ /^Array is too short/, 'minItems' ],
+    [ /^Array is too long/, 'maxItems' ],
+    [ /^Value .* minimum/, 'minimum' ],
+    [ /^Value .* maximum/, 'maximum' ],
+    [ /^Value .* multiple of/, 'multipleOf' ],
+    [ /^Value .* is not a valid number/, 'type' ],
+    [ /^Array items are not unique/, 'uniqueItems' ],
+    [ /^Too few properties/, 'minProperties' ],
+    [ /^Too many properties/, 'maxProperties' ],
+    [ /^Dependency failed/, 'dependencies' ],
+    [ /^Data does not match any schemas from "anyOf"/, 'anyOf' ],
+    [ /^Data does not match any schemas from "oneOf"/, 'oneOf' ],
+    [ /^Data is valid against more than one schema/, 'oneOf' ],
+    [ /^Data matches schema from "not"/, 'not' ],
+    [ /^Unresolved reference/, '$ref' ],
+    [ /^Circular reference/, '$ref' ],
+    [ /^Namespace does not match/, 'ns' ]
+];
+
+// The keywords the tv4 error codes belong to.
+var CODE_KEYWORDS = _.mapKeys({
+    INVALID_TYPE: 'type',
+    ENUM_MISMATCH: 'enum',
+    ANY_OF_MISSING: 'anyOf',
+    ONE_OF_MISSING: 'oneOf',
+    ONE_OF_MULTIPLE: 'oneOf',
+    NOT_PASSED: 'not',
+    NUMBER_MULTIPLE_OF: 'multipleOf',
+    NUMBER_MINIMUM: 'minimum',
+    NUMBER_MINIMUM_EXCLUSIVE: 'minimum',
+    NUMBER_MAXIMUM: 'maximum',
+    NUMBER_MAXIMUM_EXCLUSIVE: 'maximum',
+    NUMBER_NOT_A_NUMBER: 'type',
+    STRING_LENGTH_SHORT: 'minLength',
+    STRING_LENGTH_LONG: 'maxLength',
+    STRING_PATTERN: 'pattern',
+    OBJECT_PROPERTIES_MINIMUM: 'minProperties',
+    OBJECT_PROPERTIES_MAXIMUM: 'maxProperties',
+    OBJECT_REQUIRED: 'required',
+    OBJECT_ADDITIONAL_PROPERTIES: 'additionalProperties',
+    OBJECT_DEPENDENCY_KEY: 'dependencies',
+    ARRAY_LENGTH_SHORT: 'minItems',
+    ARRAY_LENGTH_LONG: 'maxItems',
+    ARRAY_UNIQUE: 'uniqueItems',
+    ARRAY_ADDITIONAL_ITEMS: 'additionalItems',
+    CIRCULAR_REFERENCE: '$ref'
+}, function(keyword, code) {
+    return tv4.errorCodes[code];
+});
+
+/**
+ * A validator for the nodes of a namespace.
+ * @constructor
+ * @param {string} namespace - The namespace the nodes belong to.
+ * @param {Object} [schemas] - The schemas of the namespace, by name, which
+ * is the node_type they apply to.
+ * @param {Object} [aux_schemas] - The auxiliary schemas of the namespace, by
+ * name. They are registered with tv4 once, when the validator is created.
+ */
+function NodeValidator(namespace, schemas, aux_schemas) {
+    this.namespace = namespace;
+    this.schemas = schemas || {};
+    this.aux_schemas = aux_schemas || {};
+    this.api = tv4.freshApi();
+
+    _.forEach(this.aux_schemas, function(schema, name) {
+        this.api.addSchema(name, normalize_refs(schema));
+    }.bind(this));
+}
+
+/**
+ * Checks a node document.
+ * @param {Object} node - The node document to check.
+ * @returns {Object[]} The errors found, each of them with path, message and
+ * keyword. Empty if the document is valid.
+ */
+NodeValidator.prototype.validate = function(node) {
+    var errors = this.validate_against(node, NODE_SCHEMA);
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    if (node['ns'] !== this.namespace) {
+        errors.push({
+            path: '/ns',
+            message: 'Namespace does not match: ' + node['ns'] +
+                ' (expected ' + this.namespace + ')',
+            keyword: 'ns'
+        });
+    }
+
+    if (_.has(this.schemas, node['node_type'])) {
+        errors = errors.concat(this.validate_against(node,
+            this.schemas[node['node_type']]));
+    }
+
+    return errors;
+};
+
+/**
+ * Checks a document against a schema, which may refer to the auxiliary
+ * schemas of the validator.
+ * @param {*} doc - The document to check.
+ * @param {Object} schema - The schema to check the document against.
+ * @returns {Object[]} The errors found, as described for validate().
+ */
+NodeValidator.prototype.validate_against = function(doc, schema) {
+    var errors = _.map(unresolved_refs(this, schema), function(name) {
+        return {
+            path: '',
+            message: 'Unresolved reference: ' + name,
+            keyword: '$ref'
+        };
+    });
+
+    var result;
+
+    try {
+        result = this.api.validateMultiple(doc, normalize_refs(schema));
+    } catch (err) {
+        // tv4 recurses without end on schemas that refer to each other
+        // without ever descending into the document.
+        if (! (err instanceof RangeError)) {
+            throw err;
+        }
+
+        return errors.concat({
+            path: '',
+            message: 'Circular reference among the schemas',
+            keyword: '$ref'
+        });
+    }
+
+    return errors.concat(_.map(result['errors'], function(error) {
+        return {
+            path: error['dataPath'],
+            message: error['message'],
+            keyword: _.get(CODE_KEYWORDS, error['code'], null)
+        };
+    }));
+};
+
+/**
+ * Creates a validator from schemas stored on disk, laid out as described for
+ * read_schemas().
+ * @param {string} namespace - The namespace the nodes belong to.
+ * @param {string} dir - The directory the schemas are stored in.
+ * @param {Function} callback - Invoked with (err, validator).
+ */
+function from_dir(namespace, dir, callback) {
+    read_schemas(dir, function(err, found) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, new NodeValidator(namespace, found['schemas'],
+            found['aux_schemas']));
+    });
+}
+
+/**
+ * Reads the schemas of a namespace stored on disk, laid out the way the
+ * server stores them: one file per schema, named after it, such as
+ * sample.json, and the auxiliary schemas likewise in an aux subdirectory.
+ * A missing directory is an error, so that a mistyped path is not taken for
+ * a namespace without schemas.
+ * @param {string} dir - The directory the schemas are stored in.
+ * @param {Function} callback - Invoked with (err, found), where found has
+ * the schemas and aux_schemas, each of them by name.
+ */
+function read_schemas(dir, callback) {
+    read_schema_dir(dir, false, function(err, schemas) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // Unlike the directory itself, the aux subdirectory may be missing.
+        var aux_dir = path.join(dir, 'aux');
+
+        read_schema_dir(aux_dir, true, function(err, aux_schemas) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, {schemas: schemas, aux_schemas: aux_schemas});
+        });
+    });
+}
+
+/**
+ * Lists the auxiliary schemas a schema refers to.
+ * @param {Object} schema - The schema document.
+ * @returns {string[]} The names of the auxiliary schemas, in the order they
+ * are first referred to.
+ */
+function aux_refs(schema) {
+    var names = [];
+
+    var visit = function(value) {
+        if (_.isArray(value)) {
+            _.forEach(value, visit);
+            return;
+        }
+
+        if (! _.isPlainObject(value)) {
+            return;
+        }
+
+        var name = _.isString(value['$ref']) ?
+            parse_ref(value['$ref'])['name'] : '';
+
+        if (name !== '' && ! _.includes(names, name)) {
+            names.push(name);
+        }
+
+        _.forEach(value, visit);
+    };
+
+    visit(schema);
+
+    return names;
+}
+
+/**
+ * Renders validation errors as text, the way the server reports them.
+ * @param {Object[]} errors - The errors, as returned by validate().
+ * @returns {string} The text, empty if there are no errors.
+ */
+function format_errors(errors) {
+    return _.map(errors, function(error) {
+        return error['path'] ? error['path'] + ': ' + error['message'] :
+            error['message'];
+    }).join('\n');
+}
+
+/**
+ * Reads validation errors from text, as reported by the server or rendered
+ * by format_errors(). Keywords are recognized from the messages, where
+ * possible.
+ * @param {string} text - The text, one error per line.
+ * @returns {Object[]} The errors, each of them with path, message and
+ * keyword (null if it is not known).
+ */
+function parse_errors(text) {
+    var lines = _.filter(_.map(String(text || '').split('\n'), _.trim));
+
+    return _.map(lines, function(line) {
+        var match = /^(\/\S*): (.*)$/.exec(line);
+        var message = match ? match[2] : line;
+
+        var known = _.find(MESSAGE_KEYWORDS, function(entry) {
+            return entry[0].test(message);
+        });
+
+        return {
+            path: match ? match[1] : '',
+            message: message,
+            keyword: known ? known[1] : null
+        };
+    });
+}
+
+/**
+ * Reads all the schemas (.json files) in a directory.
+ * @param {string} dir - The directory.
+ * @param {boolean} optional - Whether a missing directory is taken to have
+ * no schemas, rather than being an error.
+ * @param {Function} callback - Invoked with (err, schemas), the schemas by
+ * name.
+ */
+function read_schema_dir(dir, optional, callback) {
+    fs.readdir(dir, function(err, files) {
+        if (err) {
+            callback(optional && err.code === 'ENOENT' ? null : err, {});
+            return;
+        }
+
+        var schemas = {};
+
+        files = _.filter(files, function(file) {
+            return path.extname(file) === '.json';
+        });
+
+        var remaining = files.length;
+        var failed = false;
+
+        if (remaining === 0) {
+            callback(null, schemas);
+            return;
+        }
+
+        _.forEach(files, function(file) {
+            fs.readFile(path.join(dir, file), 'utf8', function(err, text) {
+                if (failed) {
+                    return;
+                }
+
+                if (! err) {
+                    try {
+                        schemas[path.basename(file, '.json')] =
+                            JSON.parse(text);
+                    } catch (exception) {
+                        exception.message = file + ': ' + exception.message;
+                        err = exception;
+                    }
+                }
+
+                if (err) {
+                    failed = true;
+                    callback(err);
+                    return;
+                }
+
+                remaining--;
+
+                if (remaining === 0) {
+                    callback(null, schemas);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Splits a reference into the auxiliary schema it points to, if any, and the
+ * JSON Pointer within it. "#name", "name" and "name.json" all refer to the
+ * auxiliary schema called name, and may be followed by a JSON Pointer into
+ * it, as in "name#/definitions/x".
+ * @param {string} ref - The reference.
+ * @returns {Object} The name of the auxiliary schema as name, an empty
+ * string for a reference within the same schema, and the JSON Pointer as
+ * pointer, an empty string for the whole schema.
+ */
+function parse_ref(ref) {
+    var hash = ref.indexOf('#');
+    var name = hash === -1 ? ref : ref.substring(0, hash);
+    var fragment = hash === -1 ? '' : ref.substring(hash + 1);
+
+    if (name === '' && fragment.charAt(0) !== '/') {
+        name = fragment;
+    }
+
+    return {
+        name: name.replace(/\.json$/, ''),
+        pointer: fragment.charAt(0) === '/' ? fragment : ''
+    };
+}
+
+/**
+ * A private helper function that rewrites the references to auxiliary
+ * schemas in a schema to their plain names, which is what they are
+ * registered with tv4 under. tv4 would otherwise take "#name" for a
+ * fragment of the schema it appears in.
+ * @param {*} schema - The schema, or a part of it.
+ * @returns {*} A copy of the schema, with the references rewritten.
+ */
+function normalize_refs(schema) {
+    if (_.isArray(schema)) {
+        return _.map(schema, normalize_refs);
+    }
+
+    if (! _.isPlainObject(schema)) {
+        return schema;
+    }
+
+    return _.mapValues(schema, function(value, key) {
+        if (key !== '$ref' || ! _.isString(value)) {
+            return normalize_refs(value);
+        }
+
+        var ref = parse_ref(value);
+
+        if (ref['name'] === '') {
+            return value;
+        }
+
+        return ref['pointer'] === '' ? ref['name'] :
+            ref['name'] + '#' + ref['pointer'];
+    });
+}
+
+/**
+ * A private helper function that lists the auxiliary schemas a schema refers
+ * to, directly or through other auxiliary schemas, that the validator does
+ * not have. tv4 lets such references pass.
+ * @param {NodeValidator} validator - The validator.
+ * @param {Object} schema - The schema.
+ * @returns {string[]} The names of the missing auxiliary schemas.
+ */
+function unresolved_refs(validator, schema) {
+    var seen = [];
+    var missing = [];
+
+    var visit = function(doc) {
+        _.forEach(aux_refs(doc), function(name) {
+            if (_.includes(seen, name)) {
+                return;
+            }
+
+            seen.push(name);
+
+            if (_.has(validator.aux_schemas, name)) {
+                visit(validator.aux_schemas[name]);
+            } else {
+                missing.push(name);
+            }
+        });
+    };
+
+    visit(schema);
+
+    return missing;
+}
+
+module.exports = {
+    NodeValidator: NodeValidator,
+    from_dir: from_dir,
+    read_schemas: read_schemas,
+    aux_refs: aux_refs,
+    parse_ref: parse_ref,
+    format_errors: format_errors,
+    parse_errors: parse_errors
+};